@@ -0,0 +1,131 @@
+/**
+ * Structured agent state on tasks (task.agent).
+ *
+ * Older boards kept this as JSON appended to the description after a
+ * "---agent-meta---" marker. migrateBoard() moves such blocks into
+ * task.agent when a board is read, so edits to the description can no
+ * longer corrupt it and the state can be queried like any other field.
+ */
+
+const LEGACY_MARKER = "---agent-meta---";
+const AGENT_STATUSES = ["queued", "running", "review", "failed", "cancelled", "approved"];
+const MAX_SUMMARY = 2000;
+const MAX_RUNS = 50;
+const RUN_OUTCOMES = ["success", "failed", "cancelled"];
+
+const isAgentId = (v) => typeof v === "string" && v.trim() !== "";
+
+// One entry of task.agent.runs: which agent handled an attempt and how it ended
+function validateRun(run) {
+  if (!run || typeof run !== "object" || Array.isArray(run)) return "must be objects";
+  if (!Number.isInteger(run.attempt) || run.attempt < 1) return "attempt must be a positive integer";
+  if (!isAgentId(run.agent)) return "agent must be a non-empty string";
+  if (!RUN_OUTCOMES.includes(run.outcome)) return `outcome must be one of: ${RUN_OUTCOMES.join(", ")}`;
+  return null;
+}
+
+// field → validator returning an error message or null (null always allowed)
+const FIELDS = {
+  agent: (v) => (isAgentId(v) ? null : "must be a non-empty string"),
+  // Agent routing picked (head of the fallback chain) and the one the next attempt goes to
+  requestedAgent: (v) => (isAgentId(v) ? null : "must be a non-empty string"),
+  nextAgent: (v) => (isAgentId(v) ? null : "must be a non-empty string"),
+  skippedAgents: (v) => (Array.isArray(v) && v.every(isAgentId) ? null : "must be an array of agent ids"),
+  runs: (v) => {
+    if (!Array.isArray(v)) return "must be an array";
+    if (v.length > MAX_RUNS) return `must have at most ${MAX_RUNS} entries`;
+    for (const run of v) {
+      const error = validateRun(run);
+      if (error) return `entries: ${error}`;
+    }
+    return null;
+  },
+  status: (v) => (AGENT_STATUSES.includes(v) ? null : `must be one of: ${AGENT_STATUSES.join(", ")}`),
+  attempts: (v) => (Number.isInteger(v) && v >= 0 ? null : "must be a non-negative integer"),
+  startedAt: (v) => (typeof v === "string" && !isNaN(Date.parse(v)) ? null : "must be an ISO timestamp"),
+  resultPath: (v) => (typeof v === "string" ? null : "must be a string"),
+  lastError: (v) => (typeof v === "string" ? null : "must be a string"),
+  resultSummary: (v) =>
+    typeof v !== "string" ? "must be a string" : v.length > MAX_SUMMARY ? `must be at most ${MAX_SUMMARY} characters` : null,
+};
+
+function emptyAgent() {
+  return { agent: null, status: "queued", attempts: 0, startedAt: null, resultPath: null, lastError: null, resultSummary: null };
+}
+
+/**
+ * Validate a task.agent update: null (clear) or an object with known
+ * fields only. Returns an error message or null.
+ */
+function validateAgent(input) {
+  if (input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) return "agent must be an object or null";
+  for (const [key, value] of Object.entries(input)) {
+    if (!FIELDS[key]) return `agent.${key} is not a known field (${Object.keys(FIELDS).join(", ")})`;
+    if (value === null) continue;
+    const error = FIELDS[key](value);
+    if (error) return `agent.${key} ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Merge a validated update into task.agent. null removes the agent state;
+ * fields not in the update are kept.
+ */
+function applyAgent(task, input) {
+  if (input === null) {
+    delete task.agent;
+    return;
+  }
+  task.agent = { ...emptyAgent(), ...(task.agent || {}), ...input };
+}
+
+/**
+ * Split a legacy description into its text and the parsed meta block.
+ * meta is null if there is no (valid) block.
+ */
+function parseLegacyMeta(description) {
+  if (!description || typeof description !== "string") return { text: description || "", meta: null };
+  const idx = description.indexOf(LEGACY_MARKER);
+  if (idx === -1) return { text: description, meta: null };
+  const text = description.slice(0, idx).trim();
+  try {
+    const meta = JSON.parse(description.slice(idx + LEGACY_MARKER.length).trim());
+    return { text, meta: meta && typeof meta === "object" ? meta : null };
+  } catch {
+    return { text, meta: null };
+  }
+}
+
+/**
+ * Move a legacy meta block from the description into task.agent.
+ * An existing task.agent wins over the block. Returns true if the task changed.
+ */
+function migrateTask(task) {
+  let changed = false;
+  for (const field of ["description", "desc"]) {
+    const { text, meta } = parseLegacyMeta(task[field]);
+    if (text === (task[field] || "")) continue;
+    task[field] = text;
+    changed = true;
+    if (meta && !task.agent) {
+      const agent = {};
+      for (const key of Object.keys(FIELDS)) if (meta[key] !== undefined) agent[key] = meta[key];
+      task.agent = { ...emptyAgent(), ...agent };
+    }
+  }
+  return changed;
+}
+
+function migrateBoard(board) {
+  let changed = false;
+  for (const col of board.columns || []) {
+    for (const task of col.tasks || []) {
+      if (migrateTask(task)) changed = true;
+    }
+  }
+  return changed;
+}
+
+module.exports = { AGENT_STATUSES, MAX_RUNS, validateAgent, applyAgent, parseLegacyMeta, migrateTask, migrateBoard };
@@ -0,0 +1,249 @@
+/**
+ * Authentication and scopes for the API handlers.
+ *
+ * Two kinds of identity:
+ * - users: browser login against KANBAN_USERS, kept in an HMAC-signed session
+ *   cookie (KANBAN_SESSION_SECRET). Users get every scope.
+ * - tokens: `Authorization: Bearer <token>` for the named tokens in
+ *   KANBAN_API_TOKENS, each with its own scopes. The legacy single
+ *   KANBAN_API_TOKEN still works as a token named "api" with every scope.
+ *
+ * Scopes:
+ *   read            GET endpoints and the event stream
+ *   tasks:write     board, columns, initiatives and task changes
+ *   backlog:write   backlog projects and specs
+ *   runner          agent lifecycle events; implies all of the above
+ *   boards:admin    deleting whole boards; implies read and tasks:write
+ *
+ * With none of KANBAN_USERS, KANBAN_API_TOKENS and KANBAN_API_TOKEN set the
+ * API stays open (local development) and requests act as "anonymous".
+ */
+
+const crypto = require("crypto");
+const { unauthorized, forbidden } = require("./http");
+
+const SCOPES = ["read", "tasks:write", "backlog:write", "runner", "boards:admin"];
+const IMPLIED_SCOPES = {
+  "tasks:write": ["read"],
+  "backlog:write": ["read"],
+  runner: ["read", "tasks:write", "backlog:write"],
+  "boards:admin": ["read", "tasks:write"],
+};
+
+const SESSION_COOKIE = "kanban_session";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const ANONYMOUS = Object.freeze({ name: "anonymous", type: "anonymous", scopes: SCOPES });
+
+// ── Configuration ───────────────────────────────────────────────────────────
+
+/**
+ * KANBAN_USERS="alice:secret,bob:scrypt:<salt>:<hash>" — plain passwords or
+ * scrypt hashes (see hashPassword()).
+ */
+function parseUsers(value) {
+  const users = new Map();
+  for (const entry of (value || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const sep = entry.indexOf(":");
+    if (sep < 1) throw new Error(`KANBAN_USERS: expected "name:password", got "${entry}"`);
+    users.set(entry.slice(0, sep), entry.slice(sep + 1));
+  }
+  return users;
+}
+
+// KANBAN_API_TOKENS='[{"name":"task-runner","token":"…","scopes":["runner"]}]'
+function parseTokens(value) {
+  if (!value) return [];
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (e) {
+    throw new Error(`KANBAN_API_TOKENS is not valid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(list)) throw new Error("KANBAN_API_TOKENS must be a JSON array");
+  return list.map((t, i) => {
+    if (!t || typeof t.name !== "string" || !t.name) throw new Error(`KANBAN_API_TOKENS[${i}]: name is required`);
+    if (typeof t.token !== "string" || t.token.length < 16) {
+      throw new Error(`KANBAN_API_TOKENS[${i}] (${t.name}): token must be at least 16 characters`);
+    }
+    const scopes = t.scopes === undefined ? ["read"] : t.scopes;
+    if (!Array.isArray(scopes) || scopes.some((s) => !SCOPES.includes(s))) {
+      throw new Error(`KANBAN_API_TOKENS[${i}] (${t.name}): scopes must be a list of: ${SCOPES.join(", ")}`);
+    }
+    return { name: t.name, token: t.token, scopes };
+  });
+}
+
+let cached = { key: null, config: null };
+
+// Parsed once per distinct environment, so tests can swap env vars
+function authConfig() {
+  const env = process.env;
+  const key = [env.KANBAN_USERS, env.KANBAN_API_TOKENS, env.KANBAN_API_TOKEN, env.KANBAN_SESSION_SECRET].join("\0");
+  if (cached.key === key) return cached.config;
+  const tokens = parseTokens(env.KANBAN_API_TOKENS);
+  if (env.KANBAN_API_TOKEN) tokens.push({ name: "api", token: env.KANBAN_API_TOKEN, scopes: SCOPES });
+  const config = {
+    users: parseUsers(env.KANBAN_USERS),
+    tokens,
+    secret: env.KANBAN_SESSION_SECRET || "",
+  };
+  config.enabled = config.users.size > 0 || config.tokens.length > 0;
+  cached = { key, config };
+  return config;
+}
+
+function authEnabled() {
+  return authConfig().enabled;
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 32).toString("hex")}`;
+}
+
+function verifyPassword(stored, password) {
+  if (stored.startsWith("scrypt:")) {
+    const [, salt] = stored.split(":");
+    return safeEqual(hashPassword(password, salt), stored);
+  }
+  return safeEqual(stored, password);
+}
+
+function expandScopes(scopes) {
+  const all = new Set(scopes);
+  for (const scope of scopes) for (const implied of IMPLIED_SCOPES[scope] || []) all.add(implied);
+  return SCOPES.filter((s) => all.has(s));
+}
+
+function hasScope(identity, scope) {
+  return identity.scopes.includes(scope);
+}
+
+// Name to record in history and comments; nothing for the open mode
+function actorName(identity) {
+  return identity && identity.type !== "anonymous" ? identity.name : undefined;
+}
+
+// ── Sessions ────────────────────────────────────────────────────────────────
+
+function sign(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+function createSession(username, secret, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({ sub: username, exp: now + SESSION_TTL_MS })).toString("base64url");
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// Returns the username, or null for a missing, forged or expired session
+function verifySession(value, secret, now = Date.now()) {
+  if (!value || !secret) return null;
+  const [payload, signature] = value.split(".");
+  if (!payload || !signature || !safeEqual(sign(payload, secret), signature)) return null;
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return typeof sub === "string" && exp > now ? sub : null;
+  } catch {
+    return null;
+  }
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || "").split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+function isSecure(req) {
+  return req.headers["x-forwarded-proto"] === "https" || Boolean(req.socket && req.socket.encrypted);
+}
+
+function sessionCookie(req, value, maxAgeMs) {
+  const attrs = [`${SESSION_COOKIE}=${value}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${Math.floor(maxAgeMs / 1000)}`];
+  if (isSecure(req)) attrs.push("Secure");
+  return attrs.join("; ");
+}
+
+// Cookies ride along on cross-site requests; writes must come from our own page
+function sameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === (req.headers["x-forwarded-host"] || req.headers.host);
+  } catch {
+    return false;
+  }
+}
+
+// ── Request authentication ──────────────────────────────────────────────────
+
+/**
+ * Identity for a request — { name, type: "user" | "token" | "anonymous",
+ * scopes } — or null if the request carries no valid credentials.
+ */
+function authenticate(req) {
+  const config = authConfig();
+  if (!config.enabled) return ANONYMOUS;
+
+  const header = req.headers["authorization"];
+  if (header) {
+    const token = header.replace(/^Bearer\s+/i, "");
+    const match = config.tokens.find((t) => safeEqual(t.token, token));
+    return match ? { name: match.name, type: "token", scopes: expandScopes(match.scopes) } : null;
+  }
+
+  const username = verifySession(readCookie(req, SESSION_COOKIE), config.secret);
+  if (!username || !config.users.has(username)) return null;
+  if (!["GET", "HEAD", "OPTIONS"].includes(req.method) && !sameOrigin(req)) return null;
+  return { name: username, type: "user", scopes: SCOPES };
+}
+
+/**
+ * Authenticate and check one scope. Sends 401/403 and returns null on
+ * failure, otherwise returns the identity (also stored as req.identity).
+ */
+function authorize(req, res, scope) {
+  const identity = authenticate(req);
+  if (!identity) {
+    unauthorized(res);
+    return null;
+  }
+  if (scope && !hasScope(identity, scope)) {
+    forbidden(res, scope);
+    return null;
+  }
+  req.identity = identity;
+  return identity;
+}
+
+// Scope for the common case: reads need "read", writes `writeScope`
+function requiredScope(req, writeScope) {
+  return req.method === "GET" || req.method === "HEAD" ? "read" : writeScope;
+}
+
+module.exports = {
+  SCOPES,
+  SESSION_COOKIE,
+  SESSION_TTL_MS,
+  authConfig,
+  authEnabled,
+  hashPassword,
+  verifyPassword,
+  hasScope,
+  actorName,
+  createSession,
+  verifySession,
+  sessionCookie,
+  authenticate,
+  authorize,
+  requiredScope,
+};
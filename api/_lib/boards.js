@@ -0,0 +1,136 @@
+/**
+ * Board registry — the list of boards of a deployment, stored as its own
+ * document ({ version, boards: [{ id, name, createdAt }] }) next to the
+ * boards themselves.
+ *
+ * The default board always exists and keeps the original `kanban:board`
+ * key, so single-board deployments need no migration. Requests pick a
+ * board with `?board=<id>` or an `X-Kanban-Board` header.
+ */
+
+const { ApiError } = require("./concurrency");
+const { DEFAULT_BOARD_ID, boardKey, historyKey, cfdKey, changesKey, getStorage } = require("./storage");
+
+const BOARDS_KEY = "kanban:boards";
+const BOARD_ID_RE = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_WRITE_RETRIES = 5;
+
+function defaultEntry() {
+  return { id: DEFAULT_BOARD_ID, name: "Board", createdAt: null };
+}
+
+async function readRegistry(store = getStorage()) {
+  const registry = (await store.get(BOARDS_KEY)) || { version: 0, boards: [] };
+  if (!registry.boards.some((b) => b.id === DEFAULT_BOARD_ID)) registry.boards.unshift(defaultEntry());
+  return registry;
+}
+
+async function listBoards(store = getStorage()) {
+  return (await readRegistry(store)).boards;
+}
+
+async function findBoard(boardId, store = getStorage()) {
+  return (await listBoards(store)).find((b) => b.id === boardId) || null;
+}
+
+// Compare-and-set loop like updateBoard(); `mutate(registry)` may throw an ApiError
+async function updateRegistry(mutate, store = getStorage()) {
+  for (let attempt = 0; attempt < MAX_WRITE_RETRIES; attempt++) {
+    const registry = await readRegistry(store);
+    const expected = registry.version;
+    const result = await mutate(registry);
+    registry.version = expected + 1;
+    if (await store.compareAndSet(BOARDS_KEY, expected, registry)) return result;
+  }
+  throw new ApiError(409, "Board list is busy — retry later", { code: "WRITE_CONTENTION" });
+}
+
+// "Product Team 2" → "product-team-2"
+function slugify(name) {
+  return String(name)
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+/**
+ * Validate a create/rename payload ({ name, id? } — id only on create).
+ * Returns an error message or null.
+ */
+function validateBoardInput(input) {
+  if (!input || typeof input !== "object") return "board body is required";
+  if (typeof input.name !== "string" || !input.name.trim()) return "name is required";
+  if (input.name.length > 100) return "name must be at most 100 characters";
+  if (input.id !== undefined && !BOARD_ID_RE.test(input.id)) {
+    return "id must be lowercase letters, digits and dashes (max. 40)";
+  }
+  return null;
+}
+
+async function createBoard(input, store = getStorage()) {
+  const id = input.id || slugify(input.name);
+  if (!BOARD_ID_RE.test(id)) throw new ApiError(400, "Could not derive a board id from the name — pass an id");
+  const entry = { id, name: input.name.trim(), createdAt: new Date().toISOString() };
+  await updateRegistry((registry) => {
+    if (registry.boards.some((b) => b.id === id)) {
+      throw new ApiError(409, `Board "${id}" already exists`, { code: "BOARD_EXISTS" });
+    }
+    registry.boards.push(entry);
+  }, store);
+  // A new board starts from the default columns (readBoard); drop any
+  // document left over from a deleted board with the same id
+  await deleteBoardDocuments(id, store);
+  return entry;
+}
+
+async function renameBoard(boardId, name, store = getStorage()) {
+  return updateRegistry((registry) => {
+    const entry = registry.boards.find((b) => b.id === boardId);
+    if (!entry) throw new ApiError(404, "Board not found");
+    entry.name = name.trim();
+    return entry;
+  }, store);
+}
+
+async function deleteBoard(boardId, store = getStorage()) {
+  if (boardId === DEFAULT_BOARD_ID) throw new ApiError(400, "The default board cannot be deleted");
+  await updateRegistry((registry) => {
+    if (!registry.boards.some((b) => b.id === boardId)) throw new ApiError(404, "Board not found");
+    registry.boards = registry.boards.filter((b) => b.id !== boardId);
+  }, store);
+  await deleteBoardDocuments(boardId, store);
+}
+
+// The board and the documents kept next to it
+async function deleteBoardDocuments(boardId, store) {
+  for (const key of [boardKey, historyKey, cfdKey, changesKey]) await store.delete(key(boardId));
+}
+
+/**
+ * Board id a request addresses: `?board=` first, then the X-Kanban-Board
+ * header, else the default board. Throws 400 for a malformed id and 404
+ * for an unknown board.
+ */
+async function resolveBoard(req, store = getStorage()) {
+  const url = new URL(req.url, "http://localhost");
+  const boardId = url.searchParams.get("board") || req.headers["x-kanban-board"] || DEFAULT_BOARD_ID;
+  if (!BOARD_ID_RE.test(boardId)) throw new ApiError(400, `Invalid board id: ${boardId}`);
+  if (boardId !== DEFAULT_BOARD_ID && !(await findBoard(boardId, store))) {
+    throw new ApiError(404, `Board not found: ${boardId}`);
+  }
+  return boardId;
+}
+
+module.exports = {
+  BOARDS_KEY,
+  listBoards,
+  findBoard,
+  validateBoardInput,
+  createBoard,
+  renameBoard,
+  deleteBoard,
+  resolveBoard,
+};
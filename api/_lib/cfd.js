@@ -0,0 +1,112 @@
+/**
+ * Cumulative flow snapshots — one entry per day holding the per-column task
+ * counts as of the last change that day ([{ date, at, columns }]). They are
+ * stored next to the board, not in it (see readCfd() in ./storage).
+ * recordSnapshot() is called on every board write, so the series only has
+ * gaps on days without changes; cfdSeries() carries the last value forward.
+ */
+
+const MAX_SNAPSHOTS = 730; // ~2 years of daily snapshots
+const DEFAULT_RANGE_DAYS = 30;
+const INTERVALS = ["day", "week"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Add today's snapshot of `board` to `snapshots` (in place). Returns false
+ * if today's snapshot already has these counts, so there is nothing to store.
+ */
+function recordSnapshot(snapshots, board, now = new Date()) {
+  const snapshot = {
+    date: isoDate(now),
+    at: now.toISOString(),
+    columns: (board.columns || []).map((col) => ({
+      id: col.id,
+      title: col.title,
+      count: (col.tasks || []).length,
+    })),
+  };
+  const last = snapshots[snapshots.length - 1];
+  if (last && last.date === snapshot.date) {
+    if (JSON.stringify(last.columns) === JSON.stringify(snapshot.columns)) return false;
+    snapshots[snapshots.length - 1] = snapshot;
+  } else {
+    snapshots.push(snapshot);
+  }
+  if (snapshots.length > MAX_SNAPSHOTS) snapshots.splice(0, snapshots.length - MAX_SNAPSHOTS);
+  return true;
+}
+
+/**
+ * Validate ?from=&to=&interval= query params. Returns an error message or null.
+ */
+function validateRange({ from, to, interval }) {
+  if (from && !DATE_RE.test(from)) return "from must be a date (YYYY-MM-DD)";
+  if (to && !DATE_RE.test(to)) return "to must be a date (YYYY-MM-DD)";
+  if (from && to && from > to) return "from must not be after to";
+  if (interval && !INTERVALS.includes(interval)) {
+    return `interval must be one of: ${INTERVALS.join(", ")}`;
+  }
+  return null;
+}
+
+// Monday of the ISO week containing the given YYYY-MM-DD date
+function weekStart(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  const offset = (d.getUTCDay() + 6) % 7;
+  return isoDate(new Date(d.getTime() - offset * DAY_MS));
+}
+
+/**
+ * Build the time series for [from, to] at the given interval from the
+ * board's snapshots. Points before the first recorded snapshot are omitted.
+ */
+function cfdSeries(board, snapshots, { from, to, interval = "day" } = {}) {
+  const end = to || isoDate(new Date());
+  const start = from || isoDate(new Date(new Date(`${end}T00:00:00Z`).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  // Column legend: current board order first, then columns seen only in history
+  const columns = (board.columns || []).map((col) => ({ id: col.id, title: col.title }));
+  const known = new Set(columns.map((c) => String(c.id)));
+  for (const snap of snapshots) {
+    if (snap.date > end) break;
+    for (const col of snap.columns) {
+      if (!known.has(String(col.id))) {
+        known.add(String(col.id));
+        columns.push({ id: col.id, title: col.title });
+      }
+    }
+  }
+
+  // Don't project the last snapshot into the future
+  const today = isoDate(new Date());
+  const last = end < today ? end : today;
+
+  const daily = [];
+  let idx = 0;
+  let current = null;
+  for (let t = new Date(`${start}T00:00:00Z`).getTime(); t <= new Date(`${last}T00:00:00Z`).getTime(); t += DAY_MS) {
+    const date = isoDate(new Date(t));
+    while (idx < snapshots.length && snapshots[idx].date <= date) current = snapshots[idx++];
+    if (!current) continue;
+    const counts = {};
+    for (const col of current.columns) counts[col.id] = col.count;
+    daily.push({ date, counts });
+  }
+
+  let series = daily;
+  if (interval === "week") {
+    // Keep the last point of each week, labelled with the week's Monday
+    const weeks = new Map();
+    for (const point of daily) weeks.set(weekStart(point.date), point.counts);
+    series = [...weeks].map(([date, counts]) => ({ date, counts }));
+  }
+
+  return { from: start, to: end, interval, columns, series };
+}
+
+module.exports = { recordSnapshot, validateRange, cfdSeries };
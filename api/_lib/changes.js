@@ -0,0 +1,127 @@
+/**
+ * Board change log for live updates (GET /api/events).
+ *
+ * Every write diffs the board before and after and appends the resulting
+ * task/column/backlog changes to the board's change log, tagged with the
+ * board version they produced. The log is its own document (see
+ * readChanges() in ./storage), { entries, floor }, written after the board
+ * itself, so concurrent writers may append out of order; every version gets
+ * an entry, even without changes, so readers can tell a gap from a quiet
+ * write. The event stream replays everything newer than the client's
+ * Last-Event-ID, so a reconnecting browser catches up without reloading the
+ * board. Entries older than MAX_CHANGES versions are dropped; `floor`
+ * remembers the cut so clients that fell further behind are told to resync.
+ */
+
+const MAX_CHANGES = 200;
+
+function taskIndex(board) {
+  const index = new Map();
+  for (const col of board.columns || []) {
+    (col.tasks || []).forEach((task, position) => {
+      index.set(String(task.id), { task, columnId: col.id, position });
+    });
+  }
+  return index;
+}
+
+function columnMeta(col) {
+  const { tasks, ...meta } = col;
+  return meta;
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List the changes between two boards as plain event objects.
+ */
+function diffChanges(prev, next) {
+  const changes = [];
+
+  // Columns
+  const prevCols = new Map((prev.columns || []).map((c) => [String(c.id), c]));
+  const nextCols = new Map((next.columns || []).map((c) => [String(c.id), c]));
+  (next.columns || []).forEach((col, position) => {
+    const old = prevCols.get(String(col.id));
+    if (!old) changes.push({ type: "column.created", columnId: col.id, position, column: columnMeta(col) });
+    else if (!same(columnMeta(old), columnMeta(col))) {
+      changes.push({ type: "column.updated", columnId: col.id, column: columnMeta(col) });
+    }
+  });
+  for (const [id, col] of prevCols) {
+    if (!nextCols.has(id)) changes.push({ type: "column.deleted", columnId: col.id });
+  }
+  const prevOrder = (prev.columns || []).map((c) => String(c.id)).filter((id) => nextCols.has(id));
+  const nextOrder = (next.columns || []).map((c) => String(c.id)).filter((id) => prevCols.has(id));
+  if (!same(prevOrder, nextOrder)) {
+    changes.push({ type: "columns.reordered", order: (next.columns || []).map((c) => c.id) });
+  }
+
+  // Tasks
+  const before = taskIndex(prev);
+  const after = taskIndex(next);
+  for (const [id, { task, columnId, position }] of after) {
+    const old = before.get(id);
+    if (!old) {
+      changes.push({ type: "task.created", taskId: task.id, columnId, position, task });
+    } else if (String(old.columnId) !== String(columnId)) {
+      changes.push({ type: "task.moved", taskId: task.id, from: old.columnId, columnId, position, task });
+    } else if (old.position !== position || !same(old.task, task)) {
+      changes.push({ type: "task.updated", taskId: task.id, columnId, position, task });
+    }
+  }
+  for (const [id, { task, columnId }] of before) {
+    if (!after.has(id)) changes.push({ type: "task.deleted", taskId: task.id, columnId });
+  }
+
+  // Backlog
+  const prevProjects = new Map((prev.backlog || []).map((p) => [p.id, p]));
+  const nextProjects = new Map((next.backlog || []).map((p) => [p.id, p]));
+  for (const [id, project] of nextProjects) {
+    const old = prevProjects.get(id);
+    if (!old) changes.push({ type: "backlog.created", projectId: id, project });
+    else if (!same(old, project)) changes.push({ type: "backlog.updated", projectId: id, project });
+  }
+  for (const id of prevProjects.keys()) {
+    if (!nextProjects.has(id)) changes.push({ type: "backlog.deleted", projectId: id });
+  }
+
+  return changes;
+}
+
+/**
+ * Add `entry` ({ version, at, changes }) to a stored log and return the new
+ * log, sorted by version and trimmed to MAX_CHANGES entries.
+ */
+function appendChanges(log, entry) {
+  const entries = [...log.entries.filter((e) => e.version !== entry.version), entry];
+  entries.sort((a, b) => a.version - b.version);
+  let floor = log.floor;
+  while (entries.length > MAX_CHANGES) floor = entries.shift().version;
+  return { entries, floor };
+}
+
+// The log entry for a write from prev → next (after next.version is assigned)
+function changeEntry(prev, next) {
+  return { version: next.version, at: new Date().toISOString(), changes: diffChanges(prev, next) };
+}
+
+/**
+ * The unbroken run of entries right after `version`, or null if the log no
+ * longer reaches back that far (the client has to reload the board). Stops
+ * at a missing version — a writer that hasn't appended yet.
+ */
+function changesSince(log, version) {
+  if (version < log.floor) return null;
+  const entries = [];
+  for (const entry of log.entries) {
+    if (entry.version <= version) continue;
+    if (entry.version !== version + entries.length + 1) break;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+module.exports = { MAX_CHANGES, diffChanges, appendChanges, changeEntry, changesSince };
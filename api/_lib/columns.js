@@ -0,0 +1,162 @@
+/**
+ * Column settings, roles and WIP limits.
+ *
+ * A column may carry `wipLimit` (positive integer): the API refuses to move
+ * or create tasks into a column that already holds that many tasks. Lowering
+ * a limit below the current count is allowed — the column then shows as
+ * exceeded until tasks leave it. Full-board saves (POST /api/board) are not
+ * checked.
+ *
+ * `role` says what a column is for, independent of its title — the runner,
+ * metrics and dependencies look columns up by role, so boards can rename
+ * or translate them freely. Each role is held by at most one column per
+ * board; `null` means the column has none. Columns from before roles
+ * existed get one from their title when the board is read
+ * (migrateColumnRoles()).
+ */
+
+const { ApiError } = require("./concurrency");
+
+const MAX_TITLE_LENGTH = 100;
+
+const COLUMN_ROLES = ["backlog", "todo", "queue", "agent-wip", "review", "in-progress", "done"];
+
+// Lower-cased titles that imply a role when a board is migrated
+const ROLE_TITLES = {
+  backlog: ["backlog"],
+  todo: ["to do", "todo", "zu erledigen", "offen"],
+  queue: ["queue", "warteschlange"],
+  "agent-wip": ["agent wip"],
+  review: ["review", "in review"],
+  "in-progress": ["in progress", "doing", "in arbeit"],
+  done: ["done", "erledigt", "fertig"],
+};
+
+function validateWipLimit(value) {
+  if (value === null || (Number.isInteger(value) && value > 0)) return null;
+  return "wipLimit must be a positive integer or null";
+}
+
+/**
+ * Validate a create/update payload ({ title?, position?, wipLimit? }).
+ * Returns an error message or null.
+ */
+function validateColumnInput(input) {
+  if (!input || typeof input !== "object") return "column body is required";
+  if (input.title !== undefined) {
+    if (typeof input.title !== "string" || !input.title.trim()) return "title must be a non-empty string";
+    if (input.title.length > MAX_TITLE_LENGTH) return `title must be at most ${MAX_TITLE_LENGTH} characters`;
+  }
+  if (input.position !== undefined && (!Number.isInteger(input.position) || input.position < 0)) {
+    return "position must be a non-negative integer";
+  }
+  if (input.role !== undefined && input.role !== null && !COLUMN_ROLES.includes(input.role)) {
+    return `role must be one of: ${COLUMN_ROLES.join(", ")} (or null)`;
+  }
+  if (input.wipLimit !== undefined) return validateWipLimit(input.wipLimit);
+  return null;
+}
+
+function findColumn(board, columnId) {
+  return board.columns.find((c) => String(c.id) === String(columnId)) || null;
+}
+
+function requireColumn(board, columnId, message = "Column not found") {
+  const col = findColumn(board, columnId);
+  if (!col) throw new ApiError(404, message);
+  return col;
+}
+
+function columnByRole(board, role) {
+  return board.columns.find((c) => c.role === role) || null;
+}
+
+function roleFromTitle(title) {
+  const lower = String(title || "").trim().toLowerCase();
+  return COLUMN_ROLES.find((role) => ROLE_TITLES[role].includes(lower)) || null;
+}
+
+/**
+ * Copy title/role/wipLimit onto the column; wipLimit null removes the limit.
+ * Throws a 409 if another column of the board already has the role.
+ */
+function applyColumnInput(board, col, input) {
+  if (input.role) {
+    const holder = columnByRole(board, input.role);
+    if (holder && holder !== col) {
+      throw new ApiError(409, `Column "${holder.title}" already has the role "${input.role}"`, {
+        code: "ROLE_TAKEN",
+        role: input.role,
+        columnId: holder.id,
+      });
+    }
+  }
+  if (input.role !== undefined) col.role = input.role;
+  if (input.title !== undefined) col.title = input.title.trim();
+  if (input.wipLimit === null) delete col.wipLimit;
+  else if (input.wipLimit !== undefined) col.wipLimit = input.wipLimit;
+}
+
+/**
+ * Give every column a role field: unknown or duplicate roles are cleared,
+ * columns without one get the role their title implies if it is still free.
+ * Returns true if the board changed.
+ */
+function migrateColumnRoles(board) {
+  let changed = false;
+  const taken = new Set();
+  for (const col of board.columns || []) {
+    if (col.role === undefined || col.role === null) continue;
+    if (!COLUMN_ROLES.includes(col.role) || taken.has(col.role)) {
+      col.role = null;
+      changed = true;
+    } else {
+      taken.add(col.role);
+    }
+  }
+  for (const col of board.columns || []) {
+    if (col.role !== undefined) continue;
+    const role = roleFromTitle(col.title);
+    col.role = role && !taken.has(role) ? role : null;
+    if (col.role) taken.add(col.role);
+    changed = true;
+  }
+  return changed;
+}
+
+// Move a column to `position` (clamped to the end)
+function moveColumn(board, col, position) {
+  board.columns.splice(board.columns.indexOf(col), 1);
+  board.columns.splice(Math.min(position, board.columns.length), 0, col);
+}
+
+function isOverLimit(col, incoming = 0) {
+  return Number.isInteger(col.wipLimit) && col.tasks.length + incoming > col.wipLimit;
+}
+
+/**
+ * Throw a 409 if adding `incoming` tasks would exceed the column's WIP limit.
+ */
+function checkWipLimit(col, incoming = 1) {
+  if (!isOverLimit(col, incoming)) return;
+  throw new ApiError(409, `WIP limit of "${col.title}" reached (${col.tasks.length}/${col.wipLimit})`, {
+    code: "WIP_LIMIT_EXCEEDED",
+    columnId: col.id,
+    wipLimit: col.wipLimit,
+    count: col.tasks.length,
+  });
+}
+
+module.exports = {
+  COLUMN_ROLES,
+  validateColumnInput,
+  findColumn,
+  requireColumn,
+  columnByRole,
+  roleFromTitle,
+  applyColumnInput,
+  migrateColumnRoles,
+  moveColumn,
+  isOverLimit,
+  checkWipLimit,
+};
@@ -0,0 +1,70 @@
+/**
+ * Task comments — validation and storage shape used by the task handlers.
+ *
+ * Comments live on the task itself: task.comments = [{ id, author, text,
+ * createdAt, actor?, agent?, attempt? }], oldest first. `author` is the
+ * display name the client chose; `actor` the authenticated user or token.
+ */
+
+const crypto = require("crypto");
+
+const MAX_TEXT_LENGTH = 20_000;
+
+/**
+ * Validate a comment payload ({ author, text, agent?, attempt? }).
+ * Returns an error message, or null if the payload is valid.
+ */
+function validateComment(input) {
+  if (!input || typeof input !== "object") return "comment body is required";
+  if (typeof input.text !== "string" || !input.text.trim()) return "text is required";
+  if (input.text.length > MAX_TEXT_LENGTH) return `text must be at most ${MAX_TEXT_LENGTH} characters`;
+  if (input.author !== undefined && typeof input.author !== "string") return "author must be a string";
+  if (input.agent !== undefined && input.agent !== null && typeof input.agent !== "string") {
+    return "agent must be a string";
+  }
+  if (input.attempt !== undefined && input.attempt !== null && (!Number.isInteger(input.attempt) || input.attempt < 1)) {
+    return "attempt must be a positive integer";
+  }
+  return null;
+}
+
+/**
+ * Append a comment to a task. Assumes the input passed validateComment().
+ */
+function addComment(task, input, actor) {
+  const comment = {
+    id: `cmt-${crypto.randomUUID().slice(0, 8)}`,
+    author: (input.author || "").trim() || actor || "user",
+    text: input.text.trim(),
+    createdAt: new Date().toISOString(),
+  };
+  if (actor) comment.actor = actor;
+  if (input.agent) comment.agent = input.agent;
+  if (input.attempt) comment.attempt = input.attempt;
+
+  if (!Array.isArray(task.comments)) task.comments = [];
+  task.comments.push(comment);
+  return comment;
+}
+
+/**
+ * Copy server-side comments onto an incoming full-board save, so a stale
+ * browser copy never drops comments posted by agents in the meantime.
+ */
+function preserveComments(current, incoming) {
+  const byId = new Map();
+  for (const col of current.columns || []) {
+    for (const task of col.tasks || []) {
+      if (Array.isArray(task.comments)) byId.set(String(task.id), task.comments);
+    }
+  }
+  for (const col of incoming.columns || []) {
+    for (const task of col.tasks || []) {
+      const comments = byId.get(String(task.id));
+      if (comments) task.comments = comments;
+      else delete task.comments;
+    }
+  }
+}
+
+module.exports = { validateComment, addComment, preserveComments };
@@ -0,0 +1,56 @@
+/**
+ * Optimistic concurrency for board writes.
+ *
+ * Every persisted board carries a monotonically increasing `version`.
+ * Reads expose it as an ETag; writers may send `If-Match: "<version>"`
+ * (or a `version` field for full-board saves) and get a 409 when the board
+ * moved on in the meantime. Writers that don't pin a version are retried
+ * against the fresh board instead, so field-level updates never clobber
+ * each other.
+ */
+
+class ApiError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function conflict(currentVersion) {
+  return new ApiError(409, "Board was modified by another client — reload and retry", {
+    code: "VERSION_CONFLICT",
+    version: currentVersion,
+  });
+}
+
+function etag(version) {
+  return `"${version || 0}"`;
+}
+
+/**
+ * Version the client expects to overwrite: If-Match header first, then an
+ * optional `version` field in the body. Returns undefined if none was sent.
+ * Throws a 400 for a malformed value.
+ */
+function expectedVersion(req, body) {
+  const header = req.headers["if-match"];
+  if (header && header.trim() !== "*") {
+    const value = header.trim().replace(/^W\//, "").replace(/"/g, "");
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 0) {
+      throw new ApiError(400, `Invalid If-Match header: ${header}`);
+    }
+    return version;
+  }
+  if (body && body.version !== undefined) {
+    if (!Number.isInteger(body.version) || body.version < 0) {
+      throw new ApiError(400, "version must be a non-negative integer");
+    }
+    return body.version;
+  }
+  return undefined;
+}
+
+module.exports = { ApiError, conflict, etag, expectedVersion };
@@ -0,0 +1,78 @@
+/**
+ * Task dependencies (task.blockedBy = [taskId, ...]).
+ *
+ * A task is blocked while any task it references still exists and is not in
+ * the column with the "done" role. References to deleted tasks no longer
+ * block. Writes are validated so every reference exists, a task never
+ * blocks itself and the graph stays acyclic.
+ */
+
+function isDoneColumn(col) {
+  return col.role === "done";
+}
+
+function locateTasks(board) {
+  const located = new Map();
+  for (const col of board.columns || []) {
+    for (const task of col.tasks || []) located.set(String(task.id), { task, col });
+  }
+  return located;
+}
+
+// Would taskId → refs close a cycle? Walks blockedBy from each reference.
+function createsCycle(located, taskId, refs) {
+  const seen = new Set();
+  const stack = refs.map(String);
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === String(taskId)) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    const entry = located.get(id);
+    if (entry) stack.push(...(entry.task.blockedBy || []).map(String));
+  }
+  return false;
+}
+
+/**
+ * Validate a blockedBy list for taskId (null for a task not created yet).
+ * Returns an error message or null.
+ */
+function validateBlockedBy(board, taskId, blockedBy) {
+  if (!Array.isArray(blockedBy)) return "blockedBy must be an array of task ids";
+  const located = locateTasks(board);
+  for (const ref of blockedBy) {
+    if (typeof ref !== "string" && typeof ref !== "number") return "blockedBy must be an array of task ids";
+    if (taskId !== null && String(ref) === String(taskId)) return "A task cannot be blocked by itself";
+    if (!located.has(String(ref))) return `blockedBy references unknown task: ${ref}`;
+  }
+  if (taskId !== null && createsCycle(located, taskId, blockedBy)) {
+    return "blockedBy would create a dependency cycle";
+  }
+  return null;
+}
+
+/**
+ * Deduplicated blockedBy list using the ids as stored on the board
+ * (the frontend uses numeric ids, the API string ids). Call after validating.
+ */
+function normalizeBlockedBy(board, blockedBy) {
+  const located = locateTasks(board);
+  const ids = new Map();
+  for (const ref of blockedBy) ids.set(String(ref), located.get(String(ref)).task.id);
+  return [...ids.values()];
+}
+
+/**
+ * Tasks that still block `task`: referenced, present on the board and not Done.
+ */
+function openBlockers(board, task) {
+  if (!Array.isArray(task.blockedBy) || task.blockedBy.length === 0) return [];
+  const located = locateTasks(board);
+  return task.blockedBy
+    .map((ref) => located.get(String(ref)))
+    .filter((entry) => entry && !isDoneColumn(entry.col))
+    .map((entry) => entry.task);
+}
+
+module.exports = { validateBlockedBy, normalizeBlockedBy, openBlockers };
@@ -0,0 +1,190 @@
+/**
+ * Per-task activity history — an append-only event log per task that lets
+ * metrics reconstruct how long a task spent in each column.
+ *
+ * The log is stored under its own key (see readHistory() in ./storage), not
+ * in the board document, so board reads and writes don't carry it. Handlers
+ * record events on board.history[taskId] during an update; writeBoard()
+ * appends them to the stored log with mergeHistory(). At most
+ * MAX_EVENTS_PER_TASK events are kept per task; the log of a deleted task
+ * stays readable and ends with its "deleted" event.
+ *
+ * Event shape: { type, at, actor?, ...details } — actor is the authenticated
+ * user or token name that caused the event.
+ *   created        { columnId }
+ *   moved          { from, to }            (column ids)
+ *   edited         { fields: [...] }
+ *   agent-started  { agent, attempt }
+ *   agent-finished { agent, attempt, success, durationMs? }
+ *   reviewed       { decision }            (approve | reject)
+ *   deleted        { columnId }
+ */
+
+const EVENT_TYPES = ["created", "moved", "edited", "agent-started", "agent-finished", "reviewed", "deleted"];
+
+// Only agent lifecycle events may be posted by clients; the rest are
+// derived by the server from the actual task mutations.
+const CLIENT_EVENT_TYPES = ["agent-started", "agent-finished"];
+
+// Task fields whose changes produce an "edited" event
+const EDIT_FIELDS = ["title", "description", "desc", "color", "colorLabel", "files", "blockedBy", "priority", "dueDate"];
+
+const MAX_EVENTS_PER_TASK = 200;
+
+// The events columnIntervals() rebuilds column stays from
+const FLOW_EVENTS = ["created", "moved", "deleted"];
+
+function recordEvent(board, taskId, type, details = {}, actor) {
+  if (!board.history) board.history = {};
+  const key = String(taskId);
+  if (!board.history[key]) board.history[key] = [];
+  const event = { type, at: new Date().toISOString(), ...(actor ? { actor } : {}), ...details };
+  board.history[key].push(event);
+  return event;
+}
+
+// `history` as returned by readHistory()
+function getHistory(history, taskId) {
+  return history[String(taskId)] || [];
+}
+
+// Over the cap, edits and agent events go first so the column stays stay intact
+function capEvents(events) {
+  if (events.length <= MAX_EVENTS_PER_TASK) return events;
+  let excess = events.length - MAX_EVENTS_PER_TASK;
+  const kept = events.filter((ev) => {
+    if (excess > 0 && !FLOW_EVENTS.includes(ev.type)) {
+      excess--;
+      return false;
+    }
+    return true;
+  });
+  return kept.slice(-MAX_EVENTS_PER_TASK);
+}
+
+/**
+ * Append `pending` ({ taskId: [event, ...] }) to a stored log and return the
+ * new log.
+ */
+function mergeHistory(stored, pending) {
+  const history = { ...stored };
+  for (const [taskId, events] of Object.entries(pending || {})) {
+    history[taskId] = capEvents([...(history[taskId] || []), ...events]);
+  }
+  return history;
+}
+
+/**
+ * Validate a client-posted event ({ type, agent, attempt, success, durationMs }).
+ * Returns an error message, or null if valid.
+ */
+function validateClientEvent(input) {
+  if (!input || typeof input !== "object") return "event body is required";
+  if (!CLIENT_EVENT_TYPES.includes(input.type)) {
+    return `type must be one of: ${CLIENT_EVENT_TYPES.join(", ")}`;
+  }
+  if (typeof input.agent !== "string" || !input.agent) return "agent is required";
+  if (input.attempt !== undefined && (!Number.isInteger(input.attempt) || input.attempt < 1)) {
+    return "attempt must be a positive integer";
+  }
+  if (input.type === "agent-finished" && typeof input.success !== "boolean") {
+    return "success must be a boolean";
+  }
+  if (input.durationMs !== undefined && (typeof input.durationMs !== "number" || input.durationMs < 0)) {
+    return "durationMs must be a non-negative number";
+  }
+  return null;
+}
+
+function clientEventDetails(input) {
+  const details = { agent: input.agent };
+  if (input.attempt !== undefined) details.attempt = input.attempt;
+  if (input.success !== undefined) details.success = input.success;
+  if (input.durationMs !== undefined) details.durationMs = input.durationMs;
+  return details;
+}
+
+/**
+ * Names of the EDIT_FIELDS that differ between two versions of a task.
+ */
+function changedFields(before, after) {
+  return EDIT_FIELDS.filter(
+    (f) => JSON.stringify(before[f]) !== JSON.stringify(after[f])
+  );
+}
+
+function indexTasks(board) {
+  const index = new Map();
+  for (const col of board.columns || []) {
+    for (const task of col.tasks || []) {
+      index.set(String(task.id), { task, columnId: col.id });
+    }
+  }
+  return index;
+}
+
+/**
+ * Record events for everything that changed between two full boards —
+ * used by POST /api/board, where the client sends the whole board instead
+ * of calling the task endpoints. Events are written to `next.history`.
+ */
+function recordBoardDiff(prev, next, actor) {
+  const before = indexTasks(prev);
+  const after = indexTasks(next);
+
+  for (const [id, { task, columnId }] of after) {
+    const old = before.get(id);
+    if (!old) {
+      recordEvent(next, id, "created", { columnId }, actor);
+      continue;
+    }
+    if (String(old.columnId) !== String(columnId)) {
+      recordEvent(next, id, "moved", { from: old.columnId, to: columnId }, actor);
+    }
+    const fields = changedFields(old.task, task);
+    if (fields.length > 0) recordEvent(next, id, "edited", { fields }, actor);
+  }
+
+  for (const [id, { columnId }] of before) {
+    if (!after.has(id)) recordEvent(next, id, "deleted", { columnId }, actor);
+  }
+}
+
+/**
+ * Reconstruct the column stays of a task from its events:
+ * [{ columnId, enteredAt, leftAt }] — leftAt is null for the current column.
+ * Returns [] for tasks created before history was recorded.
+ */
+function columnIntervals(events) {
+  const intervals = [];
+  let current = null;
+  for (const ev of events) {
+    if (ev.type === "created") {
+      current = { columnId: ev.columnId, enteredAt: ev.at, leftAt: null };
+    } else if (ev.type === "moved" && current) {
+      current.leftAt = ev.at;
+      intervals.push(current);
+      current = { columnId: ev.to, enteredAt: ev.at, leftAt: null };
+    } else if (ev.type === "deleted" && current) {
+      current.leftAt = ev.at;
+      intervals.push(current);
+      current = null;
+    }
+  }
+  if (current) intervals.push(current);
+  return intervals;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  CLIENT_EVENT_TYPES,
+  MAX_EVENTS_PER_TASK,
+  recordEvent,
+  getHistory,
+  mergeHistory,
+  validateClientEvent,
+  clientEventDetails,
+  changedFields,
+  recordBoardDiff,
+  columnIntervals,
+};
@@ -0,0 +1,82 @@
+/**
+ * Shared HTTP helpers for the API route handlers:
+ * - CORS headers
+ * - JSON responses and ApiError → response mapping
+ *
+ * Board persistence lives in ./storage, authentication in ./auth.
+ */
+
+const { ApiError, etag } = require("./concurrency");
+
+// ── CORS ────────────────────────────────────────────────────────────────────
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, If-Match, X-Kanban-Board",
+  "Access-Control-Expose-Headers": "ETag",
+};
+
+function handleCors(req, res) {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return true;
+  }
+  return false;
+}
+
+// ── Response helpers ────────────────────────────────────────────────────────
+
+function json(res, data, status = 200, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...CORS_HEADERS, ...headers });
+  res.end(JSON.stringify(data));
+}
+
+// ETag header for a board version, for json(res, data, status, versionHeaders(board))
+function versionHeaders(board) {
+  return { ETag: etag(board.version) };
+}
+
+// Turn an ApiError thrown by a handler into a JSON response
+function sendError(res, err) {
+  if (!(err instanceof ApiError)) throw err;
+  json(res, { error: err.message, ...err.details }, err.status);
+}
+
+function notFound(res) {
+  json(res, { error: "Not found" }, 404);
+}
+
+function unauthorized(res) {
+  json(res, { error: "Unauthorized" }, 401);
+}
+
+function forbidden(res, scope) {
+  json(res, { error: `Forbidden — requires scope "${scope}"`, code: "INSUFFICIENT_SCOPE", scope }, 403);
+}
+
+function badRequest(res, msg) {
+  json(res, { error: msg }, 400);
+}
+
+// ── ID helper ───────────────────────────────────────────────────────────────
+
+function uid() {
+  // crypto.randomUUID available in Node 18+ (Vercel runtime)
+  return crypto.randomUUID().slice(0, 8);
+}
+
+module.exports = {
+  ApiError,
+  CORS_HEADERS,
+  handleCors,
+  json,
+  versionHeaders,
+  sendError,
+  notFound,
+  unauthorized,
+  forbidden,
+  badRequest,
+  uid,
+};
@@ -0,0 +1,61 @@
+/**
+ * Task priority (P0 highest … P3 lowest) and due dates (YYYY-MM-DD).
+ * Tasks without a priority rank like P2. The Task Runner orders its queue
+ * with compareQueueOrder(): priority first, then oldest task first.
+ */
+
+const PRIORITIES = ["P0", "P1", "P2", "P3"];
+const DEFAULT_PRIORITY = "P2";
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function validatePriority(value) {
+  if (value === null || PRIORITIES.includes(value)) return null;
+  return `priority must be one of: ${PRIORITIES.join(", ")}`;
+}
+
+function validateDueDate(value) {
+  if (value === null) return null;
+  if (typeof value !== "string" || !DATE_RE.test(value) || isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    return "dueDate must be a date (YYYY-MM-DD)";
+  }
+  return null;
+}
+
+/**
+ * Validate the priority/dueDate fields present in a request body.
+ * Returns an error message or null.
+ */
+function validatePlanning(body) {
+  if (body.priority !== undefined) {
+    const error = validatePriority(body.priority);
+    if (error) return error;
+  }
+  if (body.dueDate !== undefined) return validateDueDate(body.dueDate);
+  return null;
+}
+
+// Copy validated fields onto the task; null removes them
+function applyPlanning(task, body) {
+  for (const field of ["priority", "dueDate"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) delete task[field];
+    else task[field] = body[field];
+  }
+}
+
+function priorityRank(task) {
+  const idx = PRIORITIES.indexOf(task.priority);
+  return idx === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : idx;
+}
+
+// createdAt (API tasks) or created (frontend tasks, epoch ms)
+function createdTime(task) {
+  const t = new Date(task.createdAt || task.created || NaN).getTime();
+  return isNaN(t) ? Infinity : t;
+}
+
+function compareQueueOrder(a, b) {
+  return priorityRank(a) - priorityRank(b) || createdTime(a) - createdTime(b) || 0;
+}
+
+module.exports = { PRIORITIES, validatePlanning, applyPlanning, compareQueueOrder };
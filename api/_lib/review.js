@@ -0,0 +1,74 @@
+/**
+ * Human review of agent results (POST /api/tasks/:id/review).
+ *
+ * The Task Runner leaves finished work in the review column. A reviewer
+ * either approves it — the task moves to the done column — or rejects it
+ * with notes: the task goes back to the queue with its attempts reset, and
+ * the notes reach the next agent run as REVIEWER FEEDBACK. The last
+ * decision is kept as task.review = { decision, notes, actor?, at }; every
+ * decision is also a comment and a "reviewed" history event.
+ */
+
+const { ApiError } = require("./concurrency");
+const { columnByRole, checkWipLimit } = require("./columns");
+const { recordEvent } = require("./history");
+const { addComment } = require("./comments");
+
+const DECISIONS = ["approve", "reject"];
+const MAX_NOTES_LENGTH = 10_000;
+
+/**
+ * Validate a review payload ({ decision, notes? } — notes required to reject).
+ * Returns an error message or null.
+ */
+function validateReview(input) {
+  if (!input || typeof input !== "object") return "review body is required";
+  if (!DECISIONS.includes(input.decision)) return `decision must be one of: ${DECISIONS.join(", ")}`;
+  if (input.notes !== undefined && input.notes !== null && typeof input.notes !== "string") {
+    return "notes must be a string";
+  }
+  if (input.notes && input.notes.length > MAX_NOTES_LENGTH) return `notes must be at most ${MAX_NOTES_LENGTH} characters`;
+  if (input.decision === "reject" && !(input.notes || "").trim()) return "notes are required to reject";
+  return null;
+}
+
+function requireRoleColumn(board, role) {
+  const col = columnByRole(board, role);
+  if (!col) throw new ApiError(409, `This board has no column with the role "${role}"`, { code: "COLUMN_ROLE_MISSING", role });
+  return col;
+}
+
+/**
+ * Apply a validated review to the task in `fromCol` (must be the review
+ * column). Returns the task and the column it ended up in.
+ */
+function applyReview(board, task, fromCol, input, actor) {
+  if (fromCol.role !== "review") {
+    throw new ApiError(409, "Only tasks in the review column can be reviewed", { code: "NOT_IN_REVIEW" });
+  }
+  const approve = input.decision === "approve";
+  const target = requireRoleColumn(board, approve ? "done" : "queue");
+  checkWipLimit(target);
+
+  const notes = (input.notes || "").trim();
+  task.review = { decision: input.decision, notes: notes || null, at: new Date().toISOString() };
+  if (actor) task.review.actor = actor;
+
+  if (task.agent) {
+    task.agent = approve
+      ? { ...task.agent, status: "approved" }
+      : { ...task.agent, status: "queued", attempts: 0, lastError: null, nextAgent: null, skippedAgents: [] };
+  }
+
+  const text = approve ? `Abgenommen${notes ? `\n\n${notes}` : ""}` : `Zurückgewiesen\n\n${notes}`;
+  addComment(task, { text }, actor);
+  recordEvent(board, task.id, "reviewed", { decision: input.decision }, actor);
+
+  fromCol.tasks.splice(fromCol.tasks.indexOf(task), 1);
+  task.movedAt = new Date().toISOString();
+  target.tasks.push(task);
+  recordEvent(board, task.id, "moved", { from: fromCol.id, to: target.id }, actor);
+  return { task, column: target };
+}
+
+module.exports = { DECISIONS, validateReview, applyReview };
@@ -0,0 +1,344 @@
+/**
+ * Board storage shared by the Vercel functions and the local servers.
+ *
+ * A backend stores JSON documents by key and offers one atomic primitive:
+ *
+ *   get(key)                              → document or null
+ *   compareAndSet(key, expected, doc)     → true if the stored document still
+ *                                           had version `expected` (0 = absent)
+ *   delete(key)                           → remove the document
+ *
+ * Each board is one document: the default board under `kanban:board`,
+ * further boards (see ./boards) under `kanban:board:<id>`. What grows with
+ * every write has its own document next to the board, so board reads and
+ * writes don't carry it: the task history (see ./history) under
+ * `kanban:history[:<id>]`, the CFD snapshots (./cfd) under
+ * `kanban:cfd[:<id>]` and the change log (./changes) under
+ * `kanban:changes[:<id>]`.
+ *
+ * Backends:
+ * - upstash: Upstash Redis REST (compare-and-set via Lua)
+ * - file:    JSON file on disk (board-data.json by default)
+ * - memory:  in-process, for tests and throwaway servers
+ *
+ * getStorage() picks the backend from KANBAN_STORAGE (upstash | file |
+ * memory), defaulting to upstash when UPSTASH_REDIS_REST_URL is set and to
+ * the JSON file otherwise. Local servers may call setStorage() instead.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { recordSnapshot } = require("./cfd");
+const { appendChanges, changeEntry } = require("./changes");
+const { mergeHistory } = require("./history");
+const { migrateBoard } = require("./agent-meta");
+const { migrateColumnRoles } = require("./columns");
+const { ApiError, conflict } = require("./concurrency");
+
+const BOARD_KEY = "kanban:board";
+const HISTORY_KEY = "kanban:history";
+const CFD_KEY = "kanban:cfd";
+const CHANGES_KEY = "kanban:changes";
+const DEFAULT_BOARD_ID = "default";
+const DEFAULT_DATA_FILE = path.join(__dirname, "..", "..", "board-data.json");
+const MAX_WRITE_RETRIES = 5;
+
+const DEFAULT_BOARD = {
+  columns: [
+    { id: "col-todo", title: "To Do", role: "todo", tasks: [] },
+    { id: "col-progress", title: "In Progress", role: "in-progress", tasks: [] },
+    { id: "col-done", title: "Done", role: "done", tasks: [] },
+  ],
+  initiatives: [],
+  backlog: [],
+};
+
+function boardKey(boardId = DEFAULT_BOARD_ID) {
+  return boardId === DEFAULT_BOARD_ID ? BOARD_KEY : `${BOARD_KEY}:${boardId}`;
+}
+
+function historyKey(boardId = DEFAULT_BOARD_ID) {
+  return boardId === DEFAULT_BOARD_ID ? HISTORY_KEY : `${HISTORY_KEY}:${boardId}`;
+}
+
+function cfdKey(boardId = DEFAULT_BOARD_ID) {
+  return boardId === DEFAULT_BOARD_ID ? CFD_KEY : `${CFD_KEY}:${boardId}`;
+}
+
+function changesKey(boardId = DEFAULT_BOARD_ID) {
+  return boardId === DEFAULT_BOARD_ID ? CHANGES_KEY : `${CHANGES_KEY}:${boardId}`;
+}
+
+function storedVersion(doc) {
+  return doc && Number.isInteger(doc.version) ? doc.version : 0;
+}
+
+// ── Upstash Redis ───────────────────────────────────────────────────────────
+
+// Compare-and-set: only write if the stored document still has the version
+// the caller read. Runs atomically inside Redis.
+const CAS_SCRIPT = `
+local cur = redis.call('GET', KEYS[1])
+local v = 0
+if cur then
+  local ok, doc = pcall(cjson.decode, cur)
+  if ok and type(doc) == 'table' and tonumber(doc.version) then v = tonumber(doc.version) end
+end
+if v ~= tonumber(ARGV[1]) then return 0 end
+redis.call('SET', KEYS[1], ARGV[2])
+return 1
+`;
+
+function createUpstashStorage({
+  url = process.env.UPSTASH_REDIS_REST_URL,
+  token = process.env.UPSTASH_REDIS_REST_TOKEN,
+} = {}) {
+  async function command(cmd) {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(cmd),
+    });
+    const data = await resp.json();
+    if (data.error) throw new Error(`Redis: ${data.error}`);
+    return data.result;
+  }
+
+  return {
+    name: "upstash",
+    async get(key) {
+      const resp = await fetch(`${url}/get/${encodeURIComponent(key)}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await resp.json();
+      if (data.error) throw new Error(`Redis: ${data.error}`);
+      return data.result ? JSON.parse(data.result) : null;
+    },
+    async compareAndSet(key, expected, doc) {
+      const result = await command(["EVAL", CAS_SCRIPT, "1", key, String(expected), JSON.stringify(doc)]);
+      return result === 1;
+    },
+    async delete(key) {
+      await command(["DEL", key]);
+    },
+  };
+}
+
+// ── JSON file ───────────────────────────────────────────────────────────────
+
+/**
+ * The board key lives in `file`; other keys in sibling files
+ * (board-data.<key>.json). Reads and writes are synchronous, so
+ * compare-and-set is atomic within one process. Writes go through a temp
+ * file + rename so a crash never leaves a half-written board.
+ */
+function createFileStorage({ file = process.env.KANBAN_DATA_FILE || DEFAULT_DATA_FILE } = {}) {
+  const dir = path.dirname(file);
+  const base = path.basename(file, ".json");
+
+  function fileFor(key) {
+    if (key === BOARD_KEY) return file;
+    return path.join(dir, `${base}.${key.replace(/[^a-zA-Z0-9_-]/g, "_")}.json`);
+  }
+
+  function read(key) {
+    const target = fileFor(key);
+    if (!fs.existsSync(target)) return null;
+    return JSON.parse(fs.readFileSync(target, "utf8"));
+  }
+
+  return {
+    name: "file",
+    file,
+    async get(key) {
+      return read(key);
+    },
+    async compareAndSet(key, expected, doc) {
+      if (storedVersion(read(key)) !== expected) return false;
+      const target = fileFor(key);
+      const tmp = `${target}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(doc, null, 2), "utf8");
+      fs.renameSync(tmp, target);
+      return true;
+    },
+    async delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+  };
+}
+
+// ── In-memory ───────────────────────────────────────────────────────────────
+
+// Documents are kept serialized so callers never share references with the store
+function createMemoryStorage(initial = {}) {
+  const docs = new Map(Object.entries(initial).map(([key, doc]) => [key, JSON.stringify(doc)]));
+  return {
+    name: "memory",
+    async get(key) {
+      return docs.has(key) ? JSON.parse(docs.get(key)) : null;
+    },
+    async compareAndSet(key, expected, doc) {
+      const current = docs.has(key) ? JSON.parse(docs.get(key)) : null;
+      if (storedVersion(current) !== expected) return false;
+      docs.set(key, JSON.stringify(doc));
+      return true;
+    },
+    async delete(key) {
+      docs.delete(key);
+    },
+  };
+}
+
+// ── Backend selection ───────────────────────────────────────────────────────
+
+const BACKENDS = {
+  upstash: createUpstashStorage,
+  file: createFileStorage,
+  memory: createMemoryStorage,
+};
+
+let storage = null;
+
+function createStorage(name = process.env.KANBAN_STORAGE) {
+  const backend = name || (process.env.UPSTASH_REDIS_REST_URL ? "upstash" : "file");
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown KANBAN_STORAGE "${backend}" (expected: ${Object.keys(BACKENDS).join(", ")})`);
+  }
+  return BACKENDS[backend]();
+}
+
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+function setStorage(next) {
+  storage = next;
+}
+
+// ── Board access ────────────────────────────────────────────────────────────
+
+async function readBoard({ boardId, storage: store = getStorage() } = {}) {
+  const board = (await store.get(boardKey(boardId))) || structuredClone(DEFAULT_BOARD);
+  if (!Number.isInteger(board.version)) board.version = 0;
+  migrateBoard(board);
+  migrateColumnRoles(board);
+  return board;
+}
+
+/**
+ * Task history of a board ({ taskId: [event, ...] }). Boards written before
+ * the history got its own key still carry their log; pass the board to
+ * include it.
+ */
+async function readHistory({ boardId, board, storage: store = getStorage() } = {}) {
+  const doc = await store.get(historyKey(boardId));
+  return mergeHistory((doc && doc.tasks) || {}, board && board.history);
+}
+
+/**
+ * CFD snapshots of a board. Boards written before the snapshots got their
+ * own key still carry them; pass the board to include them.
+ */
+async function readCfd({ boardId, board, storage: store = getStorage() } = {}) {
+  const doc = await store.get(cfdKey(boardId));
+  return doc ? doc.snapshots : (board && board.cfd) || [];
+}
+
+/**
+ * Change log of a board ({ entries, floor }). Without a stored log nothing
+ * before the board's current version can be replayed.
+ */
+async function readChanges({ boardId, board, storage: store = getStorage() } = {}) {
+  const doc = await store.get(changesKey(boardId));
+  return doc ? { entries: doc.entries, floor: doc.floor } : { entries: [], floor: board ? board.version : 0 };
+}
+
+// Compare-and-set loop like updateBoard() for the documents next to a board.
+// `change(doc)` returns the new document without its version, or null to
+// leave it. The board write this belongs to has already gone through, so
+// under lasting contention the update is dropped rather than failing a
+// request whose change was stored.
+async function updateSideDocument(key, change, store) {
+  for (let attempt = 0; attempt < MAX_WRITE_RETRIES; attempt++) {
+    const doc = await store.get(key);
+    const next = change(doc);
+    if (!next) return;
+    const expected = storedVersion(doc);
+    if (await store.compareAndSet(key, expected, { version: expected + 1, ...next })) return;
+  }
+}
+
+/**
+ * Persist `board` if the stored board is still at `prev.version` (`prev` is
+ * the board as read, for the change log). Bumps board.version. The events
+ * recorded on board.history, the change log entry and the CFD snapshot go
+ * to their own documents; a legacy log or snapshots still on the board move
+ * with them. Returns false if another writer got there first.
+ */
+async function writeBoard(board, prev, { boardId, storage: store = getStorage() } = {}) {
+  board.version = prev.version + 1;
+  const entry = changeEntry(prev, board);
+  const { history, cfd, changes, changesFloor, ...doc } = board;
+  if (!(await store.compareAndSet(boardKey(boardId), prev.version, doc))) return false;
+
+  if (history && Object.keys(history).length > 0) {
+    await updateSideDocument(historyKey(boardId), (stored) => ({
+      tasks: mergeHistory((stored && stored.tasks) || {}, history),
+    }), store);
+  }
+  await updateSideDocument(changesKey(boardId), (stored) =>
+    appendChanges(stored || { entries: [], floor: prev.version }, entry), store);
+  await updateSideDocument(cfdKey(boardId), (stored) => {
+    const snapshots = stored ? stored.snapshots : prev.cfd || [];
+    return recordSnapshot(snapshots, board) ? { snapshots } : null;
+  }, store);
+  return true;
+}
+
+/**
+ * Read-modify-write a board (`boardId`, default board if omitted).
+ * `mutate(board)` changes it in place and returns the handler's result;
+ * throw an ApiError from it to abort.
+ *
+ * With `expectedVersion` set (client sent If-Match), a stale board is a 409.
+ * Without it, a lost race re-runs `mutate` against the fresh board.
+ */
+async function updateBoard(mutate, { expectedVersion, boardId, storage: store = getStorage() } = {}) {
+  const target = { boardId, storage: store };
+  for (let attempt = 0; attempt < MAX_WRITE_RETRIES; attempt++) {
+    const board = await readBoard(target);
+    const current = board.version;
+    if (expectedVersion !== undefined && expectedVersion !== current) throw conflict(current);
+    const prev = structuredClone(board);
+    const result = await mutate(board);
+    if (await writeBoard(board, prev, target)) return { board, result };
+    if (expectedVersion !== undefined) throw conflict((await readBoard(target)).version);
+  }
+  throw new ApiError(409, "Board is busy — too many concurrent writes, retry later", { code: "WRITE_CONTENTION" });
+}
+
+module.exports = {
+  BOARD_KEY,
+  DEFAULT_BOARD_ID,
+  DEFAULT_BOARD,
+  boardKey,
+  historyKey,
+  cfdKey,
+  changesKey,
+  createUpstashStorage,
+  createFileStorage,
+  createMemoryStorage,
+  createStorage,
+  getStorage,
+  setStorage,
+  readBoard,
+  readHistory,
+  readCfd,
+  readChanges,
+  writeBoard,
+  updateBoard,
+};
@@ -0,0 +1,55 @@
+const { handleCors, json, badRequest, notFound } = require("./_lib/http");
+const {
+  authConfig,
+  authenticate,
+  verifyPassword,
+  createSession,
+  sessionCookie,
+  SESSION_TTL_MS,
+} = require("./_lib/auth");
+
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) return;
+
+  // /api/auth/{me,login,logout}
+  const url = new URL(req.url, `https://${req.headers.host || "localhost"}`);
+  const action = url.pathname.split("/").filter(Boolean)[2] || "me";
+  const config = authConfig();
+
+  // GET /api/auth/me — who am I (never 401, so the UI can decide to show the login)
+  if (req.method === "GET" && action === "me") {
+    const identity = authenticate(req);
+    return json(res, {
+      authRequired: config.enabled,
+      loginAvailable: config.users.size > 0,
+      user: identity ? { name: identity.name, type: identity.type, scopes: identity.scopes } : null,
+    });
+  }
+
+  // POST /api/auth/login — { username, password } → session cookie
+  if (req.method === "POST" && action === "login") {
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string") {
+      return badRequest(res, "username and password are required");
+    }
+    if (config.users.size === 0) return json(res, { error: "Login is not configured (KANBAN_USERS)" }, 404);
+    if (!config.secret) return json(res, { error: "KANBAN_SESSION_SECRET is not set" }, 500);
+
+    const stored = config.users.get(username);
+    if (!stored || !verifyPassword(stored, password)) {
+      return json(res, { error: "Invalid username or password" }, 401);
+    }
+    const session = createSession(username, config.secret);
+    return json(res, { user: { name: username, type: "user" } }, 200, {
+      "Set-Cookie": sessionCookie(req, session, SESSION_TTL_MS),
+    });
+  }
+
+  // POST /api/auth/logout — clear the session cookie
+  if (req.method === "POST" && action === "logout") {
+    return json(res, { ok: true }, 200, { "Set-Cookie": sessionCookie(req, "", 0) });
+  }
+
+  if (["me", "login", "logout"].includes(action)) return json(res, { error: "Method not allowed" }, 405);
+  notFound(res);
+};
@@ -1,22 +1,60 @@
-const { handleCors, checkAuth, redisGet, redisSet, json, unauthorized } = require("./_lib/redis");
+const { ApiError, handleCors, json, versionHeaders, sendError } = require("./_lib/http");
+const { authorize, requiredScope, actorName } = require("./_lib/auth");
+const { readBoard, updateBoard } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
+const { expectedVersion } = require("./_lib/concurrency");
+const { preserveComments } = require("./_lib/comments");
+const { recordBoardDiff } = require("./_lib/history");
+const { migrateBoard } = require("./_lib/agent-meta");
+const { migrateColumnRoles } = require("./_lib/columns");
 
 module.exports = async function handler(req, res) {
   if (handleCors(req, res)) return;
-  if (!checkAuth(req)) return unauthorized(res);
+  const identity = authorize(req, res, requiredScope(req, "tasks:write"));
+  if (!identity) return;
 
-  if (req.method === "GET") {
-    const board = await redisGet();
-    return json(res, board);
-  }
+  try {
+    const boardId = await resolveBoard(req);
 
-  if (req.method === "POST") {
-    const incoming = req.body;
-    // Preserve server-side backlog (managed via /api/backlog)
-    const current = await redisGet();
-    incoming.backlog = current.backlog || [];
-    await redisSet(incoming);
-    return json(res, { ok: true });
-  }
+    if (req.method === "GET") {
+      // History, CFD snapshots and the change log have their own endpoints
+      // (/api/tasks/:id/history, /api/metrics/cfd, /api/events); legacy boards still carry them
+      const { changes, changesFloor, history, cfd, ...board } = await readBoard({ boardId });
+      return json(res, board, 200, versionHeaders(board));
+    }
+
+    if (req.method === "POST") {
+      const incoming = req.body;
+      // Replacing the whole board is only safe against the version it was read at
+      const expected = expectedVersion(req, incoming);
+      if (expected === undefined) {
+        throw new ApiError(428, "Full-board saves need an If-Match header or a version field", {
+          code: "VERSION_REQUIRED",
+        });
+      }
 
-  json(res, { error: "Method not allowed" }, 405);
+      const { board } = await updateBoard((current) => {
+        const next = { ...incoming };
+        // Cached boards from older clients may still carry meta blocks
+        migrateBoard(next);
+        migrateColumnRoles(next);
+        // Preserve server-side backlog (managed via /api/backlog)
+        next.backlog = current.backlog || [];
+        // Comments are managed via /api/tasks/:id/comments
+        preserveComments(current, next);
+        // History is server-side only; derive events from what the client
+        // changed (a legacy log still on the board moves with them)
+        next.history = current.history || {};
+        recordBoardDiff(current, next, actorName(identity));
+
+        for (const key of Object.keys(current)) delete current[key];
+        Object.assign(current, next);
+      }, { expectedVersion: expected, boardId });
+      return json(res, { ok: true, version: board.version }, 200, versionHeaders(board));
+    }
+
+    json(res, { error: "Method not allowed" }, 405);
+  } catch (err) {
+    sendError(res, err);
+  }
 };
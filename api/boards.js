@@ -0,0 +1,51 @@
+const { handleCors, json, sendError, notFound, badRequest } = require("./_lib/http");
+const { authorize, requiredScope } = require("./_lib/auth");
+const { listBoards, findBoard, validateBoardInput, createBoard, renameBoard, deleteBoard } = require("./_lib/boards");
+
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) return;
+  // Deleting a board takes all its tasks and history with it
+  const scope = req.method === "DELETE" ? "boards:admin" : requiredScope(req, "tasks:write");
+  if (!authorize(req, res, scope)) return;
+
+  // /api/boards, /api/boards/:id
+  const url = new URL(req.url, "http://localhost");
+  const boardId = url.pathname.split("/").filter(Boolean)[2] || null;
+  const body = req.body || {};
+
+  try {
+    if (req.method === "GET") {
+      // GET /api/boards — all boards, default first
+      if (!boardId) return json(res, await listBoards());
+
+      // GET /api/boards/:id
+      const board = await findBoard(boardId);
+      if (!board) return notFound(res);
+      return json(res, board);
+    }
+
+    // POST /api/boards — create board { name, id? }
+    if (req.method === "POST" && !boardId) {
+      const error = validateBoardInput(body);
+      if (error) return badRequest(res, error);
+      return json(res, await createBoard(body), 201);
+    }
+
+    // PUT /api/boards/:id — rename board { name }
+    if (req.method === "PUT" && boardId) {
+      const error = validateBoardInput(body);
+      if (error) return badRequest(res, error);
+      return json(res, await renameBoard(boardId, body.name));
+    }
+
+    // DELETE /api/boards/:id — delete board and all its data
+    if (req.method === "DELETE" && boardId) {
+      await deleteBoard(boardId);
+      return json(res, { deleted: true });
+    }
+
+    json(res, { error: "Method not allowed" }, 405);
+  } catch (err) {
+    sendError(res, err);
+  }
+};
@@ -1,24 +1,105 @@
-const { handleCors, checkAuth, redisGet, redisSet, json, unauthorized, uid } = require("./_lib/redis");
+const { ApiError, handleCors, json, versionHeaders, sendError, notFound, badRequest, uid } = require("./_lib/http");
+const { authorize, requiredScope, actorName } = require("./_lib/auth");
+const { readBoard, updateBoard } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
+const { expectedVersion } = require("./_lib/concurrency");
+const { recordEvent } = require("./_lib/history");
+const {
+  validateColumnInput,
+  findColumn,
+  requireColumn,
+  applyColumnInput,
+  migrateColumnRoles,
+  moveColumn,
+  checkWipLimit,
+} = require("./_lib/columns");
 
 module.exports = async function handler(req, res) {
   if (handleCors(req, res)) return;
-  if (!checkAuth(req)) return unauthorized(res);
+  const identity = authorize(req, res, requiredScope(req, "tasks:write"));
+  if (!identity) return;
 
-  const board = await redisGet();
+  // /api/columns, /api/columns/:id
+  const url = new URL(req.url, "http://localhost");
+  const columnId = url.pathname.split("/").filter(Boolean)[2] || null;
+  const body = req.body || {};
 
-  // GET /api/columns — all columns
-  if (req.method === "GET") {
-    return json(res, board.columns);
-  }
+  try {
+    const boardId = await resolveBoard(req);
 
-  // POST /api/columns — create column
-  if (req.method === "POST") {
-    const body = req.body;
-    const col = { id: `col-${uid()}`, title: body.title || "New Column", tasks: [] };
-    board.columns.push(col);
-    await redisSet(board);
-    return json(res, col, 201);
-  }
+    if (req.method === "GET") {
+      const board = await readBoard({ boardId });
+
+      // GET /api/columns — all columns
+      if (!columnId) return json(res, board.columns, 200, versionHeaders(board));
+
+      // GET /api/columns/:id
+      const col = findColumn(board, columnId);
+      if (!col) return notFound(res);
+      return json(res, col, 200, versionHeaders(board));
+    }
+
+    const expected = expectedVersion(req);
 
-  json(res, { error: "Method not allowed" }, 405);
+    // POST /api/columns — create column { title, role?, position?, wipLimit? }
+    if (req.method === "POST" && !columnId) {
+      const error = validateColumnInput(body);
+      if (error) return badRequest(res, error);
+      const { board, result: col } = await updateBoard((board) => {
+        const col = { id: `col-${uid()}`, title: "New Column", tasks: [] };
+        applyColumnInput(board, col, body);
+        board.columns.push(col);
+        // Without an explicit role the title may imply a free one
+        migrateColumnRoles(board);
+        if (body.position !== undefined) moveColumn(board, col, body.position);
+        return col;
+      }, { expectedVersion: expected, boardId });
+      return json(res, col, 201, versionHeaders(board));
+    }
+
+    // PUT /api/columns/:id — rename, reorder, set/clear role and WIP limit
+    if (req.method === "PUT" && columnId) {
+      const error = validateColumnInput(body);
+      if (error) return badRequest(res, error);
+      const { board, result: col } = await updateBoard((board) => {
+        const col = requireColumn(board, columnId, "Not found");
+        applyColumnInput(board, col, body);
+        if (body.position !== undefined) moveColumn(board, col, body.position);
+        return col;
+      }, { expectedVersion: expected, boardId });
+      return json(res, col, 200, versionHeaders(board));
+    }
+
+    // DELETE /api/columns/:id?moveTo=<columnId> — tasks go to moveTo;
+    // deleting a non-empty column without it is refused
+    if (req.method === "DELETE" && columnId) {
+      const moveTo = url.searchParams.get("moveTo");
+      const actor = actorName(identity);
+      const { board, result } = await updateBoard((board) => {
+        const col = requireColumn(board, columnId, "Not found");
+        if (col.tasks.length > 0) {
+          if (!moveTo) {
+            throw new ApiError(409, `Column "${col.title}" still has ${col.tasks.length} task(s) — pass moveTo`, {
+              code: "COLUMN_NOT_EMPTY",
+              count: col.tasks.length,
+            });
+          }
+          if (String(moveTo) === String(col.id)) throw new ApiError(400, "moveTo must be another column");
+          const target = requireColumn(board, moveTo, "moveTo column not found");
+          checkWipLimit(target, col.tasks.length);
+          for (const task of col.tasks) {
+            target.tasks.push(task);
+            recordEvent(board, task.id, "moved", { from: col.id, to: target.id }, actor);
+          }
+        }
+        board.columns = board.columns.filter((c) => c !== col);
+        return { deleted: true, moved: col.tasks.length, moveTo: col.tasks.length > 0 ? moveTo : null };
+      }, { expectedVersion: expected, boardId });
+      return json(res, result, 200, versionHeaders(board));
+    }
+
+    json(res, { error: "Method not allowed" }, 405);
+  } catch (err) {
+    sendError(res, err);
+  }
 };
@@ -0,0 +1,99 @@
+const { handleCors, CORS_HEADERS, json, sendError } = require("./_lib/http");
+const { authorize } = require("./_lib/auth");
+const { readBoard, readChanges } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
+const { changesSince } = require("./_lib/changes");
+
+// Serverless functions can't hold a connection forever: poll storage for a
+// while, then end the response. EventSource reconnects on its own and
+// sends Last-Event-ID, so nothing is lost in between.
+const POLL_MS = 1500;
+const STREAM_MS = parseInt(process.env.KANBAN_EVENTS_STREAM_MS) || 25000;
+const HEARTBEAT_MS = 15000;
+// Writers append to the change log after the board write, so an entry can
+// be missing for a moment; one missing for longer was never written and the
+// client has to resync
+const MAX_GAP_POLLS = 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function send(res, { id, event, data }) {
+  let frame = "";
+  if (id !== undefined) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  res.write(frame);
+}
+
+module.exports = async function handler(req, res) {
+  if (handleCors(req, res)) return;
+  if (!authorize(req, res, "read")) return;
+  if (req.method !== "GET") return json(res, { error: "Method not allowed" }, 405);
+
+  let boardId;
+  try {
+    boardId = await resolveBoard(req);
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  // GET /api/events?board=<id>&since=<version> — Last-Event-ID takes precedence
+  const url = new URL(req.url, `https://${req.headers.host || "localhost"}`);
+  const lastId = req.headers["last-event-id"] ?? url.searchParams.get("since");
+  const since = lastId !== null && lastId !== undefined && lastId !== "" ? Number(lastId) : NaN;
+
+  let closed = false;
+  req.on("close", () => (closed = true));
+
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 1000\n\n");
+
+  // The stream is already open: a storage error (e.g. a timeout) ends it
+  // with an "error" event, and EventSource reconnects
+  try {
+    let board = await readBoard({ boardId });
+    let version = Number.isInteger(since) && since >= 0 ? since : board.version;
+    send(res, { event: "ready", data: { version: board.version } });
+
+    const deadline = Date.now() + STREAM_MS;
+    let lastWrite = Date.now();
+    let gapPolls = 0;
+    while (!closed) {
+      if (board.version > version) {
+        const entries = changesSince(await readChanges({ boardId, board }), version);
+        if (entries === null || (entries.length === 0 && ++gapPolls > MAX_GAP_POLLS)) {
+          send(res, { id: board.version, event: "resync", data: { version: board.version } });
+          version = board.version;
+          gapPolls = 0;
+          lastWrite = Date.now();
+        } else if (entries.length > 0) {
+          // Writes without changes only keep the versions contiguous
+          for (const entry of entries.filter((e) => e.changes.length > 0)) {
+            send(res, { id: entry.version, data: entry });
+            lastWrite = Date.now();
+          }
+          version = entries[entries.length - 1].version;
+          gapPolls = 0;
+        }
+      }
+      if (Date.now() - lastWrite >= HEARTBEAT_MS) {
+        res.write(": ping\n\n");
+        lastWrite = Date.now();
+      }
+
+      if (Date.now() + POLL_MS > deadline) break;
+      await sleep(POLL_MS);
+      if (closed) break;
+      board = await readBoard({ boardId });
+    }
+  } catch (err) {
+    send(res, { event: "error", data: { error: err.message } });
+  }
+  res.end();
+};
@@ -1,32 +1,43 @@
-const { handleCors, checkAuth, redisGet, redisSet, json, unauthorized, uid } = require("./_lib/redis");
+const { handleCors, json, versionHeaders, sendError, uid } = require("./_lib/http");
+const { authorize, requiredScope } = require("./_lib/auth");
+const { readBoard, updateBoard } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
+const { expectedVersion } = require("./_lib/concurrency");
 
 module.exports = async function handler(req, res) {
   if (handleCors(req, res)) return;
-  if (!checkAuth(req)) return unauthorized(res);
+  if (!authorize(req, res, requiredScope(req, "tasks:write"))) return;
 
-  const board = await redisGet();
+  try {
+    const boardId = await resolveBoard(req);
 
-  // GET /api/initiatives
-  if (req.method === "GET") {
-    return json(res, board.initiatives || []);
-  }
+    // GET /api/initiatives
+    if (req.method === "GET") {
+      const board = await readBoard({ boardId });
+      return json(res, board.initiatives || [], 200, versionHeaders(board));
+    }
 
-  // POST /api/initiatives — create initiative
-  if (req.method === "POST") {
-    const body = req.body;
-    const initiative = {
-      id: `init-${uid()}`,
-      title: body.title || "New Initiative",
-      description: body.description || "",
-      githubLink: body.githubLink || "",
-      documents: body.documents || [],
-      createdAt: new Date().toISOString(),
-    };
-    if (!board.initiatives) board.initiatives = [];
-    board.initiatives.push(initiative);
-    await redisSet(board);
-    return json(res, initiative, 201);
-  }
+    // POST /api/initiatives — create initiative
+    if (req.method === "POST") {
+      const body = req.body || {};
+      const { board, result: initiative } = await updateBoard((board) => {
+        const initiative = {
+          id: `init-${uid()}`,
+          title: body.title || "New Initiative",
+          description: body.description || "",
+          githubLink: body.githubLink || "",
+          documents: body.documents || [],
+          createdAt: new Date().toISOString(),
+        };
+        if (!board.initiatives) board.initiatives = [];
+        board.initiatives.push(initiative);
+        return initiative;
+      }, { expectedVersion: expectedVersion(req), boardId });
+      return json(res, initiative, 201, versionHeaders(board));
+    }
 
-  json(res, { error: "Method not allowed" }, 405);
+    json(res, { error: "Method not allowed" }, 405);
+  } catch (err) {
+    sendError(res, err);
+  }
 };
@@ -1,63 +1,180 @@
-const { handleCors, checkAuth, redisGet, json, unauthorized } = require("./_lib/redis");
+const { handleCors, json, sendError, badRequest, notFound } = require("./_lib/http");
+const { authorize } = require("./_lib/auth");
+const { readBoard, readHistory, readCfd } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
+const { columnIntervals } = require("./_lib/history");
+const { cfdSeries, validateRange } = require("./_lib/cfd");
+const { columnByRole } = require("./_lib/columns");
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function toDays(ms) {
+  return Math.round((ms / DAY_MS) * 100) / 100; // Round to 2 decimals
+}
+
+function average(values) {
+  if (values.length === 0) return 0;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100;
+}
 
 /**
- * Calculate cycle time for tasks in a specific column (e.g., "In Progress")
- * Cycle Time = Time from when a task enters the column to when it leaves
+ * Collect every task that has a recorded history together with its column
+ * stays (see columnIntervals in _lib/history.js). Expects board.history to
+ * hold the log from readHistory().
  */
-function calculateCycleTime(board, columnName = "In Progress") {
-  const column = board.columns.find(col => col.title === columnName);
-  if (!column) return { average: 0, tasks: [] };
+function collectFlows(board) {
+  const titles = {};
+  for (const col of board.columns) {
+    for (const task of col.tasks) titles[String(task.id)] = task.title;
+  }
 
-  const cycleTimes = [];
-  for (const task of column.tasks) {
-    // For tasks currently in the column, we can't calculate a full cycle time yet
-    // This would require historical data of when tasks entered/left the column
-    // For now, we'll just return 0 for in-progress tasks
-    if (task.movedAt) {
-      const movedAt = new Date(task.movedAt);
-      const createdAt = new Date(task.created || task.createdAt);
-      const cycleTimeMs = movedAt - createdAt;
-      const cycleTimeDays = cycleTimeMs / (1000 * 60 * 60 * 24);
-      cycleTimes.push({
-        taskId: task.id,
-        title: task.title,
-        cycleTimeDays: Math.round(cycleTimeDays * 100) / 100 // Round to 2 decimals
-      });
-    }
+  const flows = [];
+  for (const [taskId, events] of Object.entries(board.history || {})) {
+    const created = events.find((ev) => ev.type === "created");
+    if (!created) continue;
+    flows.push({
+      taskId,
+      title: titles[taskId] || null,
+      createdAt: created.at,
+      intervals: columnIntervals(events),
+    });
   }
+  return flows;
+}
+
+/**
+ * Calculate cycle time: from the first time a task enters the column with
+ * the start role (e.g., "in-progress") until it first reaches the done
+ * column afterwards.
+ */
+function calculateCycleTime(board, startRole = "in-progress", doneRole = "done") {
+  const startCol = columnByRole(board, startRole);
+  const doneCol = columnByRole(board, doneRole);
+  const columnName = startCol ? startCol.title : null;
+  if (!startCol || !doneCol) return { role: startRole, columnName, average: 0, tasks: [] };
+  const startId = String(startCol.id);
+  const doneId = String(doneCol.id);
 
-  const totalCycleTime = cycleTimes.reduce((sum, ct) => sum + ct.cycleTimeDays, 0);
-  const average = cycleTimes.length > 0 ? totalCycleTime / cycleTimes.length : 0;
+  const cycleTimes = [];
+  for (const flow of collectFlows(board)) {
+    const start = flow.intervals.find((iv) => String(iv.columnId) === startId);
+    if (!start) continue;
+    const done = flow.intervals.find(
+      (iv) => String(iv.columnId) === doneId && iv.enteredAt >= start.enteredAt
+    );
+    if (!done) continue;
+    cycleTimes.push({
+      taskId: flow.taskId,
+      title: flow.title,
+      startedAt: start.enteredAt,
+      completedAt: done.enteredAt,
+      cycleTimeDays: toDays(new Date(done.enteredAt) - new Date(start.enteredAt)),
+    });
+  }
 
   return {
+    role: startRole,
     columnName,
-    average: Math.round(average * 100) / 100,
-    tasks: cycleTimes
+    average: average(cycleTimes.map((ct) => ct.cycleTimeDays)),
+    tasks: cycleTimes,
   };
 }
 
 /**
- * Calculate throughput (number of tasks completed per time period)
- * For simplicity, we'll calculate daily throughput based on tasks in "Done" column
+ * Calculate lead time: from task creation until it first reaches the done column.
  */
-function calculateThroughput(board, columnName = "Done") {
-  const column = board.columns.find(col => col.title === columnName);
-  if (!column) return { count: 0, tasks: [] };
+function calculateLeadTime(board, doneRole = "done") {
+  const doneCol = columnByRole(board, doneRole);
+  if (!doneCol) return { role: doneRole, columnName: null, average: 0, tasks: [] };
+  const doneId = String(doneCol.id);
+
+  const leadTimes = [];
+  for (const flow of collectFlows(board)) {
+    const done = flow.intervals.find((iv) => String(iv.columnId) === doneId);
+    if (!done) continue;
+    leadTimes.push({
+      taskId: flow.taskId,
+      title: flow.title,
+      createdAt: flow.createdAt,
+      completedAt: done.enteredAt,
+      leadTimeDays: toDays(new Date(done.enteredAt) - new Date(flow.createdAt)),
+    });
+  }
+
+  return {
+    role: doneRole,
+    columnName: doneCol.title,
+    average: average(leadTimes.map((lt) => lt.leadTimeDays)),
+    tasks: leadTimes,
+  };
+}
+
+/**
+ * Calculate time spent per column (wait/work time) from finished column stays.
+ * Tasks still sitting in a column are reported separately as `current`.
+ */
+function calculateColumnTimes(board) {
+  const now = Date.now();
+  const byColumn = {};
+  for (const col of board.columns) {
+    byColumn[String(col.id)] = { columnId: col.id, columnName: col.title, role: col.role || null, stays: [], current: [] };
+  }
+
+  for (const flow of collectFlows(board)) {
+    for (const iv of flow.intervals) {
+      const key = String(iv.columnId);
+      if (!byColumn[key]) {
+        byColumn[key] = { columnId: iv.columnId, columnName: null, role: null, stays: [], current: [] };
+      }
+      if (iv.leftAt) {
+        byColumn[key].stays.push(toDays(new Date(iv.leftAt) - new Date(iv.enteredAt)));
+      } else {
+        byColumn[key].current.push(toDays(now - new Date(iv.enteredAt)));
+      }
+    }
+  }
+
+  return Object.values(byColumn).map((c) => ({
+    columnId: c.columnId,
+    columnName: c.columnName,
+    role: c.role,
+    averageDays: average(c.stays),
+    completedStays: c.stays.length,
+    currentTasks: c.current.length,
+    currentAverageDays: average(c.current),
+  }));
+}
+
+/**
+ * Calculate throughput (number of tasks completed per time period), based on
+ * when tasks first entered the done column. Tasks without history fall back
+ * to their last movedAt timestamp.
+ */
+function calculateThroughput(board, role = "done") {
+  const column = columnByRole(board, role);
+  if (!column) return { role, columnName: null, count: 0, tasks: [] };
+
+  const doneId = String(column.id);
+  const completedAt = {};
+  for (const flow of collectFlows(board)) {
+    const done = flow.intervals.find((iv) => String(iv.columnId) === doneId);
+    if (done) completedAt[flow.taskId] = done.enteredAt;
+  }
 
-  // Group tasks by completion date (assuming movedAt is when they were completed)
   const dailyCompletion = {};
   const tasks = [];
 
   for (const task of column.tasks) {
-    if (task.movedAt) {
-      const date = new Date(task.movedAt).toISOString().split('T')[0]; // YYYY-MM-DD
+    const at = completedAt[String(task.id)] || task.movedAt;
+    if (at) {
+      const date = new Date(at).toISOString().split('T')[0]; // YYYY-MM-DD
       if (!dailyCompletion[date]) dailyCompletion[date] = 0;
       dailyCompletion[date]++;
       
       tasks.push({
         taskId: task.id,
         title: task.title,
-        completedAt: task.movedAt
+        completedAt: at
       });
     }
   }
@@ -68,7 +185,8 @@ function calculateThroughput(board, columnName = "Done") {
   const averageDaily = dates.length > 0 ? totalCompleted / dates.length : 0;
 
   return {
-    columnName,
+    role,
+    columnName: column.title,
     averageDaily: Math.round(averageDaily * 100) / 100,
     totalCompleted,
     dailyCompletion,
@@ -78,40 +196,58 @@ function calculateThroughput(board, columnName = "Done") {
 
 /**
  * Generate Cumulative Flow Diagram data
- * Shows number of tasks in each column over time
- * For this implementation, we'll generate a snapshot of current state
- * A full CFD would require historical data
+ * Shows number of tasks in each column over time, from the daily snapshots
+ * recorded on every board write (see _lib/cfd.js)
  */
-function generateCFD(board) {
-  const cfdData = {
-    timestamp: new Date().toISOString(),
-    columns: {}
-  };
-
-  for (const column of board.columns) {
-    cfdData.columns[column.title] = column.tasks.length;
-  }
-
-  return cfdData;
+function generateCFD(board, snapshots, range = {}) {
+  return cfdSeries(board, snapshots, range);
 }
 
 module.exports = async function handler(req, res) {
   if (handleCors(req, res)) return;
-  if (!checkAuth(req)) return unauthorized(res);
+  if (!authorize(req, res, "read")) return;
 
   if (req.method !== "GET") {
     return json(res, { error: "Method not allowed" }, 405);
   }
 
-  const board = await redisGet();
-  
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean); // ['api', 'metrics', 'cfd'?]
+  let board;
+  let snapshots;
+  try {
+    const boardId = await resolveBoard(req);
+    board = await readBoard({ boardId });
+    board.history = await readHistory({ boardId, board });
+    snapshots = await readCfd({ boardId, board });
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  // GET /api/metrics/cfd?from=&to=&interval=day — CFD time series
+  if (parts[2] === "cfd") {
+    const range = {
+      from: url.searchParams.get("from") || undefined,
+      to: url.searchParams.get("to") || undefined,
+      interval: url.searchParams.get("interval") || undefined,
+    };
+    const error = validateRange(range);
+    if (error) return badRequest(res, error);
+    return json(res, generateCFD(board, snapshots, range));
+  }
+  if (parts[2]) return notFound(res);
+
   // Calculate metrics
   const cycleTime = calculateCycleTime(board);
+  const leadTime = calculateLeadTime(board);
+  const columnTimes = calculateColumnTimes(board);
   const throughput = calculateThroughput(board);
-  const cfd = generateCFD(board);
+  const cfd = generateCFD(board, snapshots);
 
   const metrics = {
     cycleTime,
+    leadTime,
+    columnTimes,
     throughput,
     cfd,
     generatedAt: new Date().toISOString()
@@ -1,14 +1,22 @@
-const { handleCors, checkAuth, redisGet, json, unauthorized } = require("./_lib/redis");
+const { handleCors, json, sendError } = require("./_lib/http");
+const { authorize } = require("./_lib/auth");
+const { readBoard } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
 
 module.exports = async function handler(req, res) {
   if (handleCors(req, res)) return;
-  if (!checkAuth(req)) return unauthorized(res);
+  if (!authorize(req, res, "read")) return;
 
   if (req.method !== "GET") {
     return json(res, { error: "Method not allowed" }, 405);
   }
 
-  const board = await redisGet();
+  let board;
+  try {
+    board = await readBoard({ boardId: await resolveBoard(req) });
+  } catch (err) {
+    return sendError(res, err);
+  }
   const stats = {};
   for (const col of board.columns) {
     stats[col.title] = col.tasks.length;
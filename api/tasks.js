@@ -1,93 +1,249 @@
-const { handleCors, checkAuth, redisGet, redisSet, json, notFound, unauthorized, badRequest, uid } = require("./_lib/redis");
+const { ApiError, handleCors, json, versionHeaders, sendError, notFound, forbidden, badRequest, uid } = require("./_lib/http");
+const { authorize, requiredScope, hasScope, actorName } = require("./_lib/auth");
+const { readBoard, readHistory, updateBoard } = require("./_lib/storage");
+const { resolveBoard } = require("./_lib/boards");
+const { expectedVersion } = require("./_lib/concurrency");
+const { validateComment, addComment } = require("./_lib/comments");
+const { recordEvent, getHistory, validateClientEvent, clientEventDetails, changedFields } = require("./_lib/history");
+const { validateAgent, applyAgent, migrateTask } = require("./_lib/agent-meta");
+const { validateBlockedBy, normalizeBlockedBy } = require("./_lib/dependencies");
+const { validatePlanning, applyPlanning } = require("./_lib/priority");
+const { findColumn, columnByRole, checkWipLimit } = require("./_lib/columns");
+const { validateReview, applyReview } = require("./_lib/review");
+
+function findTask(board, taskId) {
+  for (const col of board.columns) {
+    const task = col.tasks.find((t) => String(t.id) === String(taskId));
+    if (task) return task;
+  }
+  return null;
+}
+
+function requireTask(board, taskId) {
+  const task = findTask(board, taskId);
+  if (!task) throw new ApiError(404, "Not found");
+  return task;
+}
+
+function findTaskColumn(board, taskId) {
+  return board.columns.find((col) => col.tasks.some((t) => String(t.id) === String(taskId))) || null;
+}
+
+// null or [] removes all dependencies
+function setBlockedBy(board, task, blockedBy) {
+  if (blockedBy === null || (Array.isArray(blockedBy) && blockedBy.length === 0)) {
+    delete task.blockedBy;
+    return;
+  }
+  const error = validateBlockedBy(board, task.id, blockedBy);
+  if (error) throw new ApiError(400, error);
+  task.blockedBy = normalizeBlockedBy(board, blockedBy);
+}
 
 module.exports = async function handler(req, res) {
   if (handleCors(req, res)) return;
-  if (!checkAuth(req)) return unauthorized(res);
+  const identity = authorize(req, res, requiredScope(req, "tasks:write"));
+  if (!identity) return;
+  const actor = actorName(identity);
 
-  // Parse path: /api/tasks, /api/tasks/:id, /api/tasks/:id/move
+  // Parse path: /api/tasks, /api/tasks/:id, /api/tasks/:id/{move,comments,history,review}
   const url = new URL(req.url, `https://${req.headers.host || "localhost"}`);
   const parts = url.pathname.split("/").filter(Boolean); // ['api', 'tasks', id?, 'move'?]
   const taskId = parts[2] || null;
   const action = parts[3] || null;
 
-  const board = await redisGet();
+  try {
+    const boardId = await resolveBoard(req);
+
+    if (req.method === "GET") {
+      const board = await readBoard({ boardId });
+
+      // GET /api/tasks — all tasks flat
+      if (!taskId) {
+        const tasks = [];
+        for (const col of board.columns) {
+          for (const task of col.tasks) {
+            tasks.push({ ...task, columnId: col.id, columnTitle: col.title });
+          }
+        }
+        return json(res, tasks, 200, versionHeaders(board));
+      }
 
-  // GET /api/tasks — all tasks flat
-  if (req.method === "GET" && !taskId) {
-    const tasks = [];
-    for (const col of board.columns) {
-      for (const task of col.tasks) {
-        tasks.push({ ...task, columnId: col.id, columnTitle: col.title });
+      // GET /api/tasks/recent — last completed tasks (for dashboard)
+      if (taskId === "recent" && !action) {
+        const limit = parseInt(url.searchParams.get("limit")) || 3;
+        // Finished work sits in the done column, agent results in review
+        const doneCol = columnByRole(board, "done") || columnByRole(board, "review");
+        if (!doneCol) return json(res, [], 200, versionHeaders(board));
+        const recent = doneCol.tasks.slice(-limit).reverse().map((task) => ({
+          ...task,
+          columnId: doneCol.id,
+          columnTitle: doneCol.title,
+          agent: task.agent ? task.agent.agent : null,
+        }));
+        return json(res, recent, 200, versionHeaders(board));
       }
+
+      // GET /api/tasks/:id/comments — comment thread
+      if (action === "comments") {
+        const task = findTask(board, taskId);
+        if (!task) return notFound(res);
+        return json(res, task.comments || [], 200, versionHeaders(board));
+      }
+
+      // GET /api/tasks/:id/history — event log (kept after deletion)
+      if (action === "history") {
+        const history = getHistory(await readHistory({ boardId, board }), taskId);
+        if (history.length === 0 && !findTask(board, taskId)) return notFound(res);
+        return json(res, history, 200, versionHeaders(board));
+      }
+
+      return notFound(res);
     }
-    return json(res, tasks);
-  }
 
-  // POST /api/tasks — create task
-  if (req.method === "POST" && !taskId) {
-    const body = req.body;
-    const col = board.columns.find((c) => String(c.id) === String(body.columnId));
-    if (!col) return badRequest(res, "Column not found");
-    const task = {
-      id: `task-${uid()}`,
-      title: body.title || "New Task",
-      description: body.description || body.desc || "",
-      color: body.color || 0,
-      createdAt: new Date().toISOString(),
-    };
-    col.tasks.push(task);
-    await redisSet(board);
-    return json(res, task, 201);
-  }
+    const body = req.body || {};
+    const expected = expectedVersion(req);
 
-  // PUT /api/tasks/:id/move — move task
-  if (req.method === "PUT" && taskId && action === "move") {
-    const body = req.body;
-    const targetCol = board.columns.find((c) => String(c.id) === String(body.targetColumnId));
-    if (!targetCol) return badRequest(res, "Target column not found");
-
-    for (const col of board.columns) {
-      const idx = col.tasks.findIndex((t) => String(t.id) === String(taskId));
-      if (idx !== -1) {
-        const [task] = col.tasks.splice(idx, 1);
-        task.movedAt = new Date().toISOString();
-        targetCol.tasks.push(task);
-        await redisSet(board);
-        return json(res, { ...task, columnId: targetCol.id });
+    // POST /api/tasks — create task
+    if (req.method === "POST" && !taskId) {
+      const planningError = validatePlanning(body);
+      if (planningError) return badRequest(res, planningError);
+      const { board, result: task } = await updateBoard((board) => {
+        const col = findColumn(board, body.columnId);
+        if (!col) throw new ApiError(400, "Column not found");
+        checkWipLimit(col);
+        const task = {
+          id: `task-${uid()}`,
+          title: body.title || "New Task",
+          description: body.description || body.desc || "",
+          color: body.color || 0,
+          createdAt: new Date().toISOString(),
+        };
+        applyPlanning(task, body);
+        if (body.blockedBy !== undefined && body.blockedBy !== null) {
+          const error = validateBlockedBy(board, null, body.blockedBy);
+          if (error) throw new ApiError(400, error);
+          task.blockedBy = normalizeBlockedBy(board, body.blockedBy);
+        }
+        col.tasks.push(task);
+        recordEvent(board, task.id, "created", { columnId: col.id }, actor);
+        return task;
+      }, { expectedVersion: expected, boardId });
+      return json(res, task, 201, versionHeaders(board));
+    }
+
+    // POST /api/tasks/:id/comments — add comment
+    if (req.method === "POST" && taskId && action === "comments") {
+      const error = validateComment(body);
+      if (error) return badRequest(res, error);
+      const { board, result: comment } = await updateBoard((board) => {
+        return addComment(requireTask(board, taskId), body, actor);
+      }, { expectedVersion: expected, boardId });
+      return json(res, comment, 201, versionHeaders(board));
+    }
+
+    // POST /api/tasks/:id/history — agent lifecycle events (task runner)
+    if (req.method === "POST" && taskId && action === "history") {
+      if (!hasScope(identity, "runner")) {
+        return forbidden(res, "runner");
       }
+      const error = validateClientEvent(body);
+      if (error) return badRequest(res, error);
+      const { board, result: event } = await updateBoard((board) => {
+        requireTask(board, taskId);
+        return recordEvent(board, taskId, body.type, clientEventDetails(body), actor);
+      }, { expectedVersion: expected, boardId });
+      return json(res, event, 201, versionHeaders(board));
+    }
+
+    // POST /api/tasks/:id/review — approve (→ done) or reject (→ queue) an agent result
+    if (req.method === "POST" && taskId && action === "review") {
+      const error = validateReview(body);
+      if (error) return badRequest(res, error);
+      const { board, result } = await updateBoard((board) => {
+        const task = requireTask(board, taskId);
+        const { column } = applyReview(board, task, findTaskColumn(board, taskId), body, actor);
+        return { ...task, columnId: column.id };
+      }, { expectedVersion: expected, boardId });
+      return json(res, result, 200, versionHeaders(board));
+    }
+
+    // PUT /api/tasks/:id/move — move task
+    if (req.method === "PUT" && taskId && action === "move") {
+      const { board, result } = await updateBoard((board) => {
+        const targetCol = findColumn(board, body.targetColumnId);
+        if (!targetCol) throw new ApiError(400, "Target column not found");
+
+        for (const col of board.columns) {
+          const idx = col.tasks.findIndex((t) => String(t.id) === String(taskId));
+          if (idx !== -1) {
+            // Reordering within a column never counts against its limit
+            if (col !== targetCol) checkWipLimit(targetCol);
+            const [task] = col.tasks.splice(idx, 1);
+            task.movedAt = new Date().toISOString();
+            targetCol.tasks.push(task);
+            if (String(col.id) !== String(targetCol.id)) {
+              recordEvent(board, task.id, "moved", { from: col.id, to: targetCol.id }, actor);
+            }
+            return { ...task, columnId: targetCol.id };
+          }
+        }
+        throw new ApiError(404, "Not found");
+      }, { expectedVersion: expected, boardId });
+      return json(res, result, 200, versionHeaders(board));
     }
-    return notFound(res);
-  }
 
-  // PUT /api/tasks/:id — update task
-  if (req.method === "PUT" && taskId && !action) {
-    const body = req.body;
-    for (const col of board.columns) {
-      const task = col.tasks.find((t) => String(t.id) === String(taskId));
-      if (task) {
+    // PUT /api/tasks/:id — update task
+    if (req.method === "PUT" && taskId && !action) {
+      // Legacy: { comment: { author, text } } appends to the thread
+      if (body.comment !== undefined) {
+        const error = validateComment(body.comment);
+        if (error) return badRequest(res, `comment: ${error}`);
+      }
+      if (body.agent !== undefined) {
+        const error = validateAgent(body.agent);
+        if (error) return badRequest(res, error);
+      }
+      const planningError = validatePlanning(body);
+      if (planningError) return badRequest(res, planningError);
+      const { board, result: task } = await updateBoard((board) => {
+        const task = requireTask(board, taskId);
+        const before = { ...task };
         if (body.title !== undefined) task.title = body.title;
         if (body.description !== undefined) task.description = body.description;
         if (body.desc !== undefined) task.description = body.desc;
         if (body.color !== undefined) task.color = body.color;
-        await redisSet(board);
-        return json(res, task);
-      }
+        applyPlanning(task, body);
+        if (body.agent !== undefined) applyAgent(task, body.agent);
+        if (body.blockedBy !== undefined) setBlockedBy(board, task, body.blockedBy);
+        // Old clients still append the meta block to the description
+        migrateTask(task);
+        if (body.comment !== undefined) addComment(task, body.comment, actor);
+        const fields = changedFields(before, task);
+        if (fields.length > 0) recordEvent(board, task.id, "edited", { fields }, actor);
+        return task;
+      }, { expectedVersion: expected, boardId });
+      return json(res, task, 200, versionHeaders(board));
     }
-    return notFound(res);
-  }
 
-  // DELETE /api/tasks/:id — delete task
-  if (req.method === "DELETE" && taskId) {
-    for (const col of board.columns) {
-      const idx = col.tasks.findIndex((t) => String(t.id) === String(taskId));
-      if (idx !== -1) {
-        col.tasks.splice(idx, 1);
-        await redisSet(board);
-        return json(res, { deleted: true });
-      }
+    // DELETE /api/tasks/:id — delete task
+    if (req.method === "DELETE" && taskId) {
+      const { board } = await updateBoard((board) => {
+        for (const col of board.columns) {
+          const idx = col.tasks.findIndex((t) => String(t.id) === String(taskId));
+          if (idx !== -1) {
+            const [task] = col.tasks.splice(idx, 1);
+            recordEvent(board, task.id, "deleted", { columnId: col.id }, actor);
+            return;
+          }
+        }
+        throw new ApiError(404, "Not found");
+      }, { expectedVersion: expected, boardId });
+      return json(res, { deleted: true }, 200, versionHeaders(board));
     }
-    return notFound(res);
-  }
 
-  json(res, { error: "Method not allowed" }, 405);
+    json(res, { error: "Method not allowed" }, 405);
+  } catch (err) {
+    sendError(res, err);
+  }
 };
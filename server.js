@@ -1,16 +1,29 @@
 #!/usr/bin/env node
 /**
- * Simple Kanban Server with API
- * Serves static files + provides API for heartbeat access
+ * Local Kanban Server
+ *
+ * Serves index.html and mounts the same route handlers as the Vercel
+ * deployment (api/*.js), so offline mode has the full feature set:
+ * board, tasks, columns, backlog, metrics, events, …
+ *
+ * Emulates what Vercel does in front of the handlers:
+ * - file-based routing: /api/<name> → api/<name>.js
+ * - the rewrites from vercel.json (e.g. /api/tasks/:path* → api/tasks.js),
+ *   keeping the original URL in req.url
+ * - req.body parsing (JSON, with a 400 on malformed input)
+ *
+ * Storage follows KANBAN_STORAGE / KANBAN_DATA_FILE (see api/_lib/storage.js);
+ * without Upstash credentials that is ./board-data.json.
  */
 
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { getStorage } = require('./api/_lib/storage');
 
-const PORT = 3000;
-const DATA_FILE = path.join(__dirname, 'kanban_data.json');
+const DEFAULT_PORT = 3000;
 const BOARD_DIR = __dirname;
+const API_DIR = path.join(__dirname, 'api');
 
 // MIME types
 const MIME_TYPES = {
@@ -23,97 +36,153 @@ const MIME_TYPES = {
     '.svg': 'image/svg+xml'
 };
 
-// Read board data
-function getBoardData() {
+// ── Routing (Vercel emulation) ───────────────────────────────────
+
+// "/api/tasks/:path*" → /^\/api\/tasks(?:\/(.*))?$/ with named params
+function compileRewrite({ source, destination }) {
+    const names = [];
+    const pattern = source.split('/').map((segment, i) => {
+        const param = segment.match(/^:(\w+)(\*)?$/);
+        if (!param) return (i === 0 ? '' : '\\/') + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        names.push(param[1]);
+        return param[2] ? '(?:\\/(.*))?' : '\\/([^/]+)';
+    }).join('');
+    return { regex: new RegExp(`^${pattern}$`), names, destination };
+}
+
+function loadRewrites() {
     try {
-        if (fs.existsSync(DATA_FILE)) {
-            return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-        }
-        // Default board
-        return {
-            columns: [
-                { id: 1, title: 'Nexus Tasks', tasks: [] },
-                { id: 2, title: 'In Progress', tasks: [] },
-                { id: 3, title: 'Done', tasks: [] }
-            ],
-            initiatives: []
-        };
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, 'vercel.json'), 'utf8'));
+        return (config.rewrites || []).map(compileRewrite);
     } catch (e) {
-        return {
-            columns: [
-                { id: 1, title: 'Nexus Tasks', tasks: [] },
-                { id: 2, title: 'In Progress', tasks: [] },
-                { id: 3, title: 'Done', tasks: [] }
-            ],
-            initiatives: []
-        };
+        console.error('Could not read vercel.json rewrites:', e.message);
+        return [];
     }
 }
 
-// Save board data
-function saveBoardData(data) {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+const rewrites = loadRewrites();
+
+// api/<name>.js for /api/<name>; files starting with "_" are not routes
+function handlerFor(pathname) {
+    const match = pathname.match(/^\/api\/([a-z0-9-]+)\/?$/);
+    if (!match) return null;
+    const file = path.join(API_DIR, `${match[1]}.js`);
+    return fs.existsSync(file) ? require(file) : null;
 }
 
-// HTTP Handler
-const server = http.createServer((req, res) => {
-    const url = new URL(req.url, `http://localhost:${PORT}`);
-    const pathname = url.pathname;
-    
-    // CORS
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-        res.writeHead(204);
-        res.end();
-        return;
+// Filesystem routes first, then rewrites — like Vercel
+function resolveHandler(pathname) {
+    const direct = handlerFor(pathname);
+    if (direct) return direct;
+    for (const { regex, names, destination } of rewrites) {
+        const match = pathname.match(regex);
+        if (!match) continue;
+        const target = names.reduce((dest, name, i) => dest.replace(`:${name}`, match[i + 1] || ''), destination);
+        return handlerFor(target);
     }
-    
-    // API Endpoints
-    if (pathname === '/api/board' && req.method === 'GET') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(getBoardData()));
-        return;
-    }
-    
-    if (pathname === '/api/board' && (req.method === 'POST' || req.method === 'PUT')) {
+    return null;
+}
+
+// ── Body parsing ─────────────────────────────────────────────────
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
         let body = '';
         req.on('data', chunk => body += chunk);
-        req.on('end', () => {
-            try {
-                const data = JSON.parse(body);
-                saveBoardData(data);
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true }));
-            } catch (e) {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: e.message }));
-            }
-        });
-        return;
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+// JSON for application/json (and JSON-looking bodies sent without a type,
+// e.g. by curl -d); anything else is passed through as a string
+function parseBody(req, raw) {
+    if (!raw) return undefined;
+    const type = req.headers['content-type'] || '';
+    const looksJson = /^\s*[{[]/.test(raw);
+    if (!type.includes('application/json') && !looksJson) return raw;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        if (type.includes('application/json')) throw e;
+        return raw;
+    }
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+    res.end(JSON.stringify(data));
+}
+
+async function handleApi(req, res, handler) {
+    if (req.method !== 'GET' && req.method !== 'HEAD' && req.method !== 'OPTIONS') {
+        try {
+            req.body = parseBody(req, await readBody(req));
+        } catch (e) {
+            return sendJson(res, 400, { error: 'Invalid JSON body' });
+        }
+    }
+    try {
+        await handler(req, res);
+    } catch (e) {
+        console.error(`${req.method} ${req.url}:`, e);
+        if (!res.headersSent) sendJson(res, 500, { error: e.message });
+        else res.end();
     }
-    
-    // Serve static files
-    let filePath = pathname === '/' ? '/index.html' : pathname;
-    filePath = path.join(BOARD_DIR, filePath);
-    
+}
+
+// ── Static files ─────────────────────────────────────────────────
+
+function serveStatic(req, res, pathname) {
+    const filePath = path.join(BOARD_DIR, pathname === '/' ? 'index.html' : pathname);
     const ext = path.extname(filePath);
-    const contentType = MIME_TYPES[ext] || 'text/plain';
-    
+    const inside = filePath.startsWith(BOARD_DIR + path.sep);
+    const hidden = path.relative(BOARD_DIR, filePath).split(path.sep).some(part => part.startsWith('.'));
+    // Only serve frontend assets — never data files or server code
+    if (!inside || hidden || !MIME_TYPES[ext] || ext === '.json' || ext === '.js') {
+        res.writeHead(404);
+        res.end('Not Found');
+        return;
+    }
+
     fs.readFile(filePath, (err, content) => {
         if (err) {
             res.writeHead(404);
             res.end('Not Found');
             return;
         }
-        res.writeHead(200, { 'Content-Type': contentType });
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[ext] });
         res.end(content);
     });
-});
+}
+
+// ── Server ───────────────────────────────────────────────────────
+
+function createServer() {
+    return http.createServer((req, res) => {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+
+        if (pathname.startsWith('/api/')) {
+            const handler = resolveHandler(pathname);
+            if (!handler) return sendJson(res, 404, { error: 'Not found' });
+            return handleApi(req, res, handler);
+        }
+        serveStatic(req, res, decodeURIComponent(pathname));
+    });
+}
+
+function start({ port = DEFAULT_PORT, host } = {}) {
+    const server = createServer();
+    server.listen(port, host, () => {
+        const storage = getStorage();
+        console.log(`🚀 Kanban Server running on http://${host || 'localhost'}:${port}`);
+        console.log(`💾 Storage: ${storage.name}${storage.file ? ` (${storage.file})` : ''}`);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    start({ port: parseInt(process.env.PORT) || DEFAULT_PORT });
+}
 
-server.listen(PORT, () => {
-    console.log(`🚀 Kanban Server running on port ${PORT}`);
-    console.log(`📁 Data file: ${DATA_FILE}`);
-});
+module.exports = { createServer, start };
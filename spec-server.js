@@ -10,6 +10,7 @@
  *
  * Port: 3002 (health check only)
  * Poll interval: 10 seconds
+ * Boards: KANBAN_BOARDS (comma-separated ids, "*" for all; default board otherwise)
  */
 
 const http = require("http");
@@ -18,6 +19,7 @@ const fs = require("fs");
 const PORT = 3002;
 const KANBAN_API = process.env.KANBAN_API_URL || "https://kanban-jet-seven.vercel.app";
 const KANBAN_TOKEN = process.env.KANBAN_API_TOKEN || "";
+const KANBAN_BOARDS = (process.env.KANBAN_BOARDS || "default").split(",").map(s => s.trim()).filter(Boolean);
 const POLL_INTERVAL = 10_000;
 
 // API Keys
@@ -42,22 +44,25 @@ async function kanbanFetch(path, options = {}) {
     headers,
     signal: AbortSignal.timeout(30_000),
   });
-  // On 401, retry without auth header (token mismatch with Vercel env)
-  if (resp.status === 401 && KANBAN_TOKEN) {
-    console.log(`  → 401 with token, retrying without auth header`);
-    const noAuthHeaders = { "Content-Type": "application/json" };
-    const resp2 = await fetch(`${KANBAN_API}${path}`, {
-      ...options,
-      headers: noAuthHeaders,
-      signal: AbortSignal.timeout(30_000),
-    });
-    if (!resp2.ok) throw new Error(`Kanban API ${path}: ${resp2.status} (no-auth retry)`);
-    return resp2.json();
+  if (resp.status === 401 || resp.status === 403) {
+    console.error(`  → ${resp.status}: KANBAN_API_TOKEN is missing or lacks the "backlog:write" scope`);
   }
   if (!resp.ok) throw new Error(`Kanban API ${path}: ${resp.status}`);
   return resp.json();
 }
 
+// Every board-scoped path carries ?board=<id>
+function boardPath(boardId, path) {
+  return `${path}${path.includes("?") ? "&" : "?"}board=${encodeURIComponent(boardId)}`;
+}
+
+// The configured board ids; "*" expands to every board of the deployment
+async function watchedBoards() {
+  if (!KANBAN_BOARDS.includes("*")) return KANBAN_BOARDS;
+  const boards = await kanbanGet("/api/boards");
+  return boards.map(b => b.id);
+}
+
 async function kanbanGet(path) {
   return kanbanFetch(path);
 }
@@ -243,12 +248,15 @@ Erstelle basierend auf den obigen Informationen:
 
 WICHTIG: Antworte mit einem JSON-Objekt mit ZWEI separaten Keys:
 - "spec": Ein Markdown-String mit der Spezifikation (OHNE die Tasks)
-- "tasks": Ein Array von Objekten mit "title" und "details"
+- "tasks": Ein Array von Objekten mit "title", "details", "priority" und "dependsOn"
 
 Die Tasks MÜSSEN im "tasks"-Array stehen, NICHT im "spec"-String.
+Ordne die Tasks so, dass Voraussetzungen zuerst kommen. "dependsOn" enthält die Indizes (0-basiert)
+der FRÜHEREN Tasks, die abgeschlossen sein müssen, bevor dieser Task beginnen kann (leeres Array wenn keine).
+"priority" ist "P0" (kritisch), "P1" (hoch), "P2" (normal) oder "P3" (niedrig).
 
 Beispiel-Format:
-{"spec": "# Projekt\\n\\n## Übersicht\\n...", "tasks": [{"title": "MVP implementieren", "details": "Beschreibung der Aufgabe"}]}
+{"spec": "# Projekt\\n\\n## Übersicht\\n...", "tasks": [{"title": "Datenmodell anlegen", "details": "Beschreibung der Aufgabe", "priority": "P0", "dependsOn": []}, {"title": "MVP implementieren", "details": "Beschreibung der Aufgabe", "priority": "P1", "dependsOn": [0]}]}
 
 Kein Markdown-Codeblock drumherum, nur reines JSON.`;
 }
@@ -408,9 +416,26 @@ function extractJSON(text) {
   throw new Error("Could not extract spec JSON from LLM output");
 }
 
+// ── Task normalization ──────────────────────────────────────────
+
+const PRIORITIES = ["P0", "P1", "P2", "P3"];
+
+// Keep only dependsOn indices that point at earlier tasks, so the generated
+// dependency graph is always acyclic. Unknown priorities are dropped.
+function normalizeTasks(tasks) {
+  return tasks.map((task, i) => {
+    const deps = Array.isArray(task.dependsOn) ? task.dependsOn.map(Number) : [];
+    const priority = String(task.priority || "").toUpperCase();
+    const normalized = { ...task, dependsOn: [...new Set(deps)].filter((d) => Number.isInteger(d) && d >= 0 && d < i) };
+    if (PRIORITIES.includes(priority)) normalized.priority = priority;
+    else delete normalized.priority;
+    return normalized;
+  });
+}
+
 // ── Spec generation ─────────────────────────────────────────────
 
-async function generateSpec(project) {
+async function generateSpec(boardId, project) {
   const projectId = project.id;
   if (processing.has(projectId)) return;
   processing.set(projectId, Date.now());
@@ -434,9 +459,9 @@ async function generateSpec(project) {
       throw parseErr;
     }
     const spec = result.spec || "";
-    const tasks = Array.isArray(result.tasks) ? result.tasks : [];
+    const tasks = normalizeTasks(Array.isArray(result.tasks) ? result.tasks : []);
 
-    await kanbanPut(`/api/backlog/${projectId}`, {
+    await kanbanPut(boardPath(boardId, `/api/backlog/${projectId}`), {
       specStatus: "ready",
       spec: spec,
       specTasks: tasks,
@@ -445,7 +470,7 @@ async function generateSpec(project) {
     console.log(`[${ts()}] Spec ready for ${project.title}: ${tasks.length} tasks [${provider}]`);
   } catch (err) {
     console.error(`[${ts()}] Spec generation failed for ${project.title}:`, err.message);
-    await kanbanPut(`/api/backlog/${projectId}`, {
+    await kanbanPut(boardPath(boardId, `/api/backlog/${projectId}`), {
       specStatus: "error",
       spec: `Fehler bei Spec-Generierung: ${err.message}`,
     }).catch(() => {});
@@ -467,12 +492,14 @@ async function pollBacklog() {
   }
 
   try {
-    const backlog = await kanbanGet("/api/backlog");
-    const pending = backlog.filter(
-      (p) => p.specStatus === "generating" && !processing.has(p.id)
-    );
-    for (const project of pending) {
-      generateSpec(project); // fire and forget
+    for (const boardId of await watchedBoards()) {
+      const backlog = await kanbanGet(boardPath(boardId, "/api/backlog"));
+      const pending = backlog.filter(
+        (p) => p.specStatus === "generating" && !processing.has(p.id)
+      );
+      for (const project of pending) {
+        generateSpec(boardId, project); // fire and forget
+      }
     }
   } catch (err) {
     console.error(`[${new Date().toISOString()}] Poll error: ${err.message}`);
@@ -499,6 +526,7 @@ const server = http.createServer((req, res) => {
 server.listen(PORT, "127.0.0.1", () => {
   console.log(`Spec-Server running on http://127.0.0.1:${PORT}`);
   console.log(`Kanban API: ${KANBAN_API}`);
+  console.log(`Boards: ${KANBAN_BOARDS.join(", ")}`);
   console.log(`Primary: Gemini 2.5 Flash ${GEMINI_KEY ? "✓" : "✗ (no key)"}`);
   console.log(`Fallback: OpenRouter Qwen3 ${OPENROUTER_KEY ? "✓" : "✗ (no key)"}`);
   console.log(`Polling every ${POLL_INTERVAL / 1000}s`);
@@ -3,121 +3,145 @@
 /**
  * Task Runner — Multi-Agent Task Orchestrator for the Kanban Board.
  *
- * Polls the "Queue" column for tasks, routes them to the best CLI agent
- * (Claude Code, Gemini CLI, OpenClaw), spawns them as child processes,
- * collects results, and moves tasks through the workflow.
+ * Polls the queue column for tasks, routes them to the best agent (CLIs
+ * like Claude Code, Gemini CLI, OpenClaw as child processes; HTTP and
+ * OpenAI-compatible agents over the network), collects results, and moves
+ * tasks through the workflow.
  *
- * Workflow: Queue → Agent WIP → Review (or back to Queue on failure)
+ * Workflow: Queue → Agent WIP → Review (or back to Queue on failure). The
+ * columns are found by their role (queue, agent-wip, review), not their title.
  *
  * Port: 3004 (health check)
- * Poll interval: 15 seconds
- * Max concurrent agents: 1 (RAM-limited)
+ * Poll interval: `pollIntervalMs` (default 15 seconds)
+ * Boards: `boards` (ids, "*" for all; default board otherwise)
+ * Max concurrent agents: `maxConcurrent` (default 1), per agent
+ * `maxConcurrent` in agents.json, admission limited by summed `ramMB`
+ * Settings: runner.config.json, overridden by environment variables and
+ * reloaded on change or SIGHUP (see Runner Config); agents.json can also be
+ * edited over HTTP (see Agent Management)
  */
 
 const http = require("http");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
-const { spawn } = require("child_process");
+const { spawn, execFile } = require("child_process");
+const { setTimeout: sleep } = require("timers/promises");
+const { MAX_RUNS, parseLegacyMeta, migrateTask } = require("./api/_lib/agent-meta");
+const { openBlockers } = require("./api/_lib/dependencies");
+const { compareQueueOrder } = require("./api/_lib/priority");
 
 // ── Config ──────────────────────────────────────────────────
-const PORT = 3004;
-const KANBAN_API =
-  process.env.KANBAN_API_URL || "https://kanban-jet-seven-ashy.vercel.app";
+// Tunable settings live in runner.config.json (see Runner Config below);
+// secrets, the port and the file locations only come from the environment
+const PORT = parseInt(process.env.TASK_RUNNER_PORT) || 3004;
 const KANBAN_TOKEN = process.env.KANBAN_API_TOKEN || "";
-const POLL_INTERVAL = 15_000;
-const MAX_CONCURRENT = 1;
-const MIN_FREE_MB = 400;
-const AGENT_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
-const MAX_ATTEMPTS = 3;
+// Bearer token for the control endpoints (cancel, retry, pause); open if unset
+const RUNNER_TOKEN = process.env.TASK_RUNNER_TOKEN || "";
 const MAX_STDOUT = 10 * 1024 * 1024; // 10MB buffer limit
 
-const WORKSPACES_DIR = path.join(__dirname, "workspaces");
-const RESULTS_DIR = path.join(__dirname, "results");
-const AGENTS_CONFIG_PATH = path.join(__dirname, "agents.json");
+// workspaces/ and results/ live here
+const DATA_DIR = process.env.TASK_RUNNER_DATA_DIR || __dirname;
+const WORKSPACES_DIR = path.join(DATA_DIR, "workspaces");
+const RESULTS_DIR = path.join(DATA_DIR, "results");
+const GIT_TIMEOUT_MS = 5 * 60 * 1000;
+const RUNNER_CONFIG_PATH = process.env.TASK_RUNNER_CONFIG || path.join(__dirname, "runner.config.json");
+const AGENTS_CONFIG_PATH = process.env.TASK_RUNNER_AGENTS || path.join(__dirname, "agents.json");
 
 // ── State ───────────────────────────────────────────────────
-const activeAgents = new Map(); // taskId → { agent, process, startedAt }
+const activeAgents = new Map(); // taskId → { boardId, agent, ramMB, process, pid, stop, startedAt, inWip, spawnedAt, cancel }
 let completedCount = 0;
+let queuePaused = false; // POST /api/queue/pause — running agents continue, no new ones start
 let lastPollError = null;
+let blockedCount = 0; // Queue tasks waiting on blockedBy (last poll)
+let config = {}; // Effective settings from runner.config.json and the environment
 let agentsConfig = []; // Loaded from agents.json
+let failureRules = {}; // failure class → action, agents.json `onFailure` over the defaults
+const pendingMoves = new Map(); // taskId → { boardId, target, since } — see moveOutOfWip()
 
-// Column IDs cache (resolved at startup)
-let colIds = { queue: null, wip: null, review: null };
+const ts = () => new Date().toISOString();
+
+// Column IDs per board (resolved at startup, refreshed every poll)
+const boardColumns = new Map(); // boardId → { queue, wip, review }
+
+// The runner's columns: key in boardColumns, column role, title when created
+const RUNNER_COLUMNS = [
+  { key: "queue", role: "queue", title: "Queue" },
+  { key: "wip", role: "agent-wip", title: "Agent WIP" },
+  { key: "review", role: "review", title: "Review" },
+];
+
+function columnsFor(boardId) {
+  if (!boardColumns.has(boardId)) boardColumns.set(boardId, { queue: null, wip: null, review: null });
+  return boardColumns.get(boardId);
+}
 
 // ── Kanban API helpers ──────────────────────────────────────
 
-async function kanbanGet(urlPath) {
-  const headers = { "Content-Type": "application/json" };
-  if (KANBAN_TOKEN) headers["Authorization"] = `Bearer ${KANBAN_TOKEN}`;
-  const resp = await fetch(`${KANBAN_API}${urlPath}`, { headers });
-  if (resp.status === 401 && KANBAN_TOKEN) {
-    console.log(`  → 401 with token, retrying without auth header`);
-    const resp2 = await fetch(`${KANBAN_API}${urlPath}`, {
-      headers: { "Content-Type": "application/json" },
-    });
-    if (!resp2.ok) throw new Error(`Kanban GET ${urlPath}: ${resp2.status}`);
-    return resp2.json();
-  }
-  if (!resp.ok) throw new Error(`Kanban GET ${urlPath}: ${resp.status}`);
-  return resp.json();
+function kanbanError(method, urlPath, status) {
+  const err = new Error(`Kanban ${method} ${urlPath}: ${status}`);
+  err.status = status;
+  return err;
 }
 
-async function kanbanPut(urlPath, data) {
+// Every board-scoped path carries ?board=<id>
+function boardPath(boardId, urlPath) {
+  return `${urlPath}${urlPath.includes("?") ? "&" : "?"}board=${encodeURIComponent(boardId)}`;
+}
+
+async function kanbanRequest(method, urlPath, data) {
   const headers = { "Content-Type": "application/json" };
   if (KANBAN_TOKEN) headers["Authorization"] = `Bearer ${KANBAN_TOKEN}`;
-  const body = JSON.stringify(data);
-  const resp = await fetch(`${KANBAN_API}${urlPath}`, {
-    method: "PUT",
+  const resp = await fetch(`${config.kanbanApiUrl}${urlPath}`, {
+    method,
     headers,
-    body,
+    body: data === undefined ? undefined : JSON.stringify(data),
   });
-  if (resp.status === 401 && KANBAN_TOKEN) {
-    console.log(`  → 401 with token, retrying without auth header`);
-    const resp2 = await fetch(`${KANBAN_API}${urlPath}`, {
-      method: "PUT",
-      headers: { "Content-Type": "application/json" },
-      body,
-    });
-    if (!resp2.ok) throw new Error(`Kanban PUT ${urlPath}: ${resp2.status}`);
-    return resp2.json();
+  if (resp.status === 401 || resp.status === 403) {
+    console.error(`  → ${resp.status}: KANBAN_API_TOKEN is missing or lacks the "runner" scope`);
   }
-  if (!resp.ok) throw new Error(`Kanban PUT ${urlPath}: ${resp.status}`);
+  if (!resp.ok) throw kanbanError(method, urlPath, resp.status);
   return resp.json();
 }
 
+async function kanbanGet(urlPath) {
+  return kanbanRequest("GET", urlPath);
+}
+
+async function kanbanPut(urlPath, data) {
+  return kanbanRequest("PUT", urlPath, data);
+}
+
 async function kanbanPost(urlPath, data) {
-  const headers = { "Content-Type": "application/json" };
-  if (KANBAN_TOKEN) headers["Authorization"] = `Bearer ${KANBAN_TOKEN}`;
-  const body = JSON.stringify(data);
-  const resp = await fetch(`${KANBAN_API}${urlPath}`, {
-    method: "POST",
-    headers,
-    body,
-  });
-  if (resp.status === 401 && KANBAN_TOKEN) {
-    console.log(`  → 401 with token, retrying without auth header`);
-    const resp2 = await fetch(`${KANBAN_API}${urlPath}`, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body,
-    });
-    if (!resp2.ok) throw new Error(`Kanban POST ${urlPath}: ${resp2.status}`);
-    return resp2.json();
-  }
-  if (!resp.ok) throw new Error(`Kanban POST ${urlPath}: ${resp.status}`);
-  return resp.json();
+  return kanbanRequest("POST", urlPath, data);
 }
 
-async function moveTask(taskId, targetColId) {
-  return kanbanPut(`/api/tasks/${taskId}/move`, { targetColumnId: targetColId });
+async function moveTask(boardId, taskId, targetColId) {
+  return kanbanPut(boardPath(boardId, `/api/tasks/${taskId}/move`), { targetColumnId: targetColId });
+}
+
+async function updateTask(boardId, taskId, data) {
+  return kanbanPut(boardPath(boardId, `/api/tasks/${taskId}`), data);
+}
+
+async function postComment(boardId, taskId, author, text, refs = {}) {
+  return kanbanPost(boardPath(boardId, `/api/tasks/${taskId}/comments`), {
+    author,
+    text,
+    agent: refs.agent,
+    attempt: refs.attempt,
+  });
 }
 
-async function updateTask(taskId, data) {
-  return kanbanPut(`/api/tasks/${taskId}`, data);
+async function recordTaskEvent(boardId, taskId, event) {
+  return kanbanPost(boardPath(boardId, `/api/tasks/${taskId}/history`), event);
 }
 
-async function postComment(taskId, author, text) {
-  return kanbanPut(`/api/tasks/${taskId}`, { comment: { author, text } });
+// The configured board ids; "*" expands to every board of the deployment
+async function watchedBoards() {
+  if (!config.boards.includes("*")) return config.boards;
+  const boards = await kanbanGet("/api/boards");
+  return boards.map(b => b.id);
 }
 
 function extractGitHubLinks(text) {
@@ -134,85 +158,645 @@ async function findProjectForTask(task, boardData) {
 
 // ── Agent Meta helpers ──────────────────────────────────────
 
-const META_SEPARATOR = "\n\n---agent-meta---\n";
+// Agent state lives in task.agent (validated by PUT /api/tasks/:id). The API
+// migrates legacy "---agent-meta---" description blocks on read; parsing
+// them here as well keeps the runner working against older deployments.
 
-function parseAgentMeta(description) {
-  if (!description) return null;
-  const idx = description.indexOf("---agent-meta---");
-  if (idx === -1) return null;
-  const jsonStr = description.slice(idx + "---agent-meta---".length).trim();
-  try {
-    return JSON.parse(jsonStr);
-  } catch {
-    return null;
+function parseAgentMeta(task) {
+  const copy = { ...task };
+  migrateTask(copy);
+  return copy.agent ? { ...copy.agent } : null;
+}
+
+function getCleanDescription(task) {
+  return parseLegacyMeta(task.description || task.desc).text;
+}
+
+async function setAgentMeta(boardId, taskId, meta) {
+  return updateTask(boardId, taskId, { agent: meta });
+}
+
+// ── Agent Routing ───────────────────────────────────────────
+//
+// Each enabled agent scores the task by its rules in agents.json:
+//   keywords  "word", "prefix*" or { "word", "weight" } — whole words only
+//   patterns  "regex" or { "regex", "flags", "weight" } — on title + description,
+//             case-insensitive unless `flags` says otherwise
+//   labels    "Project" or { "label", "weight" } — the task's colorLabel
+//   exclude   words that rule the agent out for the task
+// Rules weigh 1 unless a weight is given. The highest score wins; ties go
+// to the agent with the better success rate on similar earlier tasks, then
+// to the one listed first. Without any match the success history decides,
+// and without history the `default` agent. A fallback agent chosen after a
+// failed attempt (task.agent.nextAgent) and an agent set on a task that has
+// not run yet (task.agent.agent) win over the rules.
+
+const STOPWORDS = new Set([
+  "the", "and", "for", "with", "from", "into", "that", "this", "task",
+  "der", "die", "das", "und", "mit", "für", "von", "eine", "einen", "einer", "dem", "den", "des", "auf", "aus",
+]);
+
+// [{ taskId, agent, success, durationMs, words, label }] from results/*/meta.json
+let routingHistory = [];
+
+function routingText(task) {
+  return (task.title || "") + " " + getCleanDescription(task);
+}
+
+// Significant words of a title, to find similar tasks
+function titleWords(title) {
+  return new Set(String(title || "").toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w.length >= 4 && !STOPWORDS.has(w)));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// "test" matches "test" and "Test-Suite" but not "latest"; "implement*" also "implementation"
+function wordRegex(word) {
+  const prefix = word.endsWith("*");
+  const body = escapeRegExp(word.replace(/\*$/, ""));
+  return new RegExp(`(?<![\\p{L}\\p{N}])${body}${prefix ? "" : "(?![\\p{L}\\p{N}])"}`, "iu");
+}
+
+function ruleWeight(rule) {
+  return rule && typeof rule === "object" && Number.isFinite(rule.weight) ? rule.weight : 1;
+}
+
+/**
+ * Score one agent against a task. Returns { score, matches, excludedBy };
+ * excludedBy is the exclusion word that ruled it out, or null. Broken
+ * regexes are skipped (loadAgentsConfig() reports them).
+ */
+function scoreAgent(agentDef, task, text) {
+  const excludedBy = (agentDef.exclude || []).find((word) => wordRegex(String(word)).test(text)) || null;
+  const matches = [];
+  for (const rule of agentDef.keywords || []) {
+    const word = typeof rule === "string" ? rule : rule.word;
+    if (word && wordRegex(word).test(text)) matches.push({ type: "keyword", rule: word, weight: ruleWeight(rule) });
   }
+  for (const rule of agentDef.patterns || []) {
+    const source = typeof rule === "string" ? rule : rule.regex;
+    let re;
+    try {
+      re = new RegExp(source, typeof rule === "string" ? "i" : rule.flags ?? "i");
+    } catch {
+      continue;
+    }
+    if (re.test(text)) matches.push({ type: "pattern", rule: source, weight: ruleWeight(rule) });
+  }
+  const label = String(task.colorLabel || "").toLowerCase();
+  for (const rule of agentDef.labels || []) {
+    const name = typeof rule === "string" ? rule : rule.label;
+    if (label && name && name.toLowerCase() === label) matches.push({ type: "label", rule: name, weight: ruleWeight(rule) });
+  }
+  return { score: matches.reduce((sum, m) => sum + m.weight, 0), matches, excludedBy };
 }
 
-function getCleanDescription(description) {
-  if (!description) return "";
-  const idx = description.indexOf("---agent-meta---");
-  if (idx === -1) return description;
-  return description.slice(0, idx).trim();
+/**
+ * Success rate and median duration of an agent's earlier attempts on
+ * similar tasks (same label or a shared title word; all tasks if none is
+ * similar). The rate is smoothed — (successes + 1) / (attempts + 2) — so a
+ * single lucky run doesn't outrank a long good record.
+ */
+function agentStats(agentId, task) {
+  const runs = routingHistory.filter((h) => h.agent === agentId && String(h.taskId) !== String(task.id));
+  const words = titleWords(task.title);
+  const label = task.colorLabel || null;
+  const similar = runs.filter((h) => (label && h.label === label) || [...h.words].some((w) => words.has(w)));
+  const basis = similar.length > 0 ? similar : runs;
+  if (basis.length === 0) return { samples: 0, similar: false, successRate: null, medianDurationMs: null };
+  const successes = basis.filter((h) => h.success);
+  const durations = successes.map((h) => h.durationMs).filter(Number.isFinite).sort((a, b) => a - b);
+  return {
+    samples: basis.length,
+    similar: similar.length > 0,
+    successRate: (successes.length + 1) / (basis.length + 2),
+    medianDurationMs: durations.length > 0 ? durations[Math.floor(durations.length / 2)] : null,
+  };
 }
 
-function setAgentMeta(description, meta) {
-  const clean = getCleanDescription(description);
-  return clean + META_SEPARATOR + JSON.stringify(meta);
+// Better history first: success rate, then faster median run
+function compareStats(a, b) {
+  if ((b.successRate ?? -1) !== (a.successRate ?? -1)) return (b.successRate ?? -1) - (a.successRate ?? -1);
+  return (a.medianDurationMs ?? Infinity) - (b.medianDurationMs ?? Infinity);
 }
 
-// ── Agents Config ───────────────────────────────────────────
+/**
+ * Route a task and say why: { agent, reason, candidates } with reason
+ * "fallback", "assigned", "rules", "history" or "default". `routed` is the
+ * agent the rules would pick when another one is set.
+ */
+function explainRoute(task) {
+  const text = routingText(task);
+  const enabled = agentsConfig.filter(a => a.enabled);
+  const candidates = enabled.map((agentDef, order) => ({
+    agent: agentDef.id,
+    order,
+    ...scoreAgent(agentDef, task, text),
+    ...agentStats(agentDef.id, task),
+  }));
+  const eligible = candidates.filter((c) => !c.excludedBy);
+
+  let routed = null;
+  let reason = "default";
+  const scored = eligible.filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score || compareStats(a, b) || a.order - b.order);
+  const experienced = eligible.filter((c) => c.samples > 0).sort((a, b) => compareStats(a, b) || a.order - b.order);
+  if (scored.length > 0) {
+    routed = scored[0].agent;
+    reason = "rules";
+  } else if (experienced.length > 0) {
+    routed = experienced[0].agent;
+    reason = "history";
+  } else {
+    const defaultAgent = eligible.find((c) => agentsConfig.find((a) => a.id === c.agent).default) || eligible[0];
+    routed = defaultAgent ? defaultAgent.agent : (enabled[0] || { id: "gemini" }).id;
+  }
 
-function loadAgentsConfig() {
+  const meta = parseAgentMeta(task);
+  const result = { taskId: task.id, agent: routed, reason, candidates: candidates.map(({ order, ...c }) => c) };
+  // After a failed attempt the fallback chain decides (planFallback())
+  if (meta && meta.nextAgent) return { ...result, agent: meta.nextAgent, reason: "fallback", routed };
+  // Chosen by hand, or kept after a reset (review rejection, retry)
+  if (meta && meta.agent && !meta.attempts) return { ...result, agent: meta.agent, reason: "assigned", routed };
+  return result;
+}
+
+function routeToAgent(task) {
+  return explainRoute(task).agent;
+}
+
+function historyEntry(meta, title, label) {
+  return {
+    taskId: meta.taskId,
+    agent: meta.agent,
+    success: Boolean(meta.success),
+    durationMs: meta.durationMs,
+    words: titleWords(title),
+    label: label || null,
+  };
+}
+
+// Read the outcome of every recorded attempt (results without agent are skipped)
+function loadRoutingHistory() {
+  routingHistory = [];
+  if (!fs.existsSync(RESULTS_DIR)) return;
+  for (const taskId of fs.readdirSync(RESULTS_DIR)) {
+    for (const attempt of listAttemptDirs(taskId)) {
+      const meta = readJsonFile(path.join(attempt.dir, "meta.json"));
+      if (meta && meta.agent && !meta.cancelled) routingHistory.push(historyEntry(meta, meta.title, meta.colorLabel));
+    }
+  }
+  console.log(`Routing history: ${routingHistory.length} attempts`);
+}
+
+// GET /api/route/:taskId/explain[?board=] — how the task would be routed now
+async function handleRouteExplain(req, res, url) {
+  const [, , taskId, action, ...rest] = url.pathname.split("/").filter(Boolean);
+  if (req.method !== "GET") return sendJson(res, 405, { error: "Method not allowed" });
+  if (!TASK_ID_RE.test(taskId || "") || action !== "explain" || rest.length > 0) {
+    return sendJson(res, 404, { error: "Not found" });
+  }
   try {
-    const raw = fs.readFileSync(AGENTS_CONFIG_PATH, "utf8");
-    const parsed = JSON.parse(raw);
-    agentsConfig = parsed.agents || [];
-    console.log(`Loaded ${agentsConfig.length} agents from agents.json (${agentsConfig.filter(a => a.enabled).length} enabled)`);
+    const found = await locateTask(taskId, url.searchParams.get("board"));
+    if (!found) return sendJson(res, 404, { error: `Task ${taskId} not found` });
+    sendJson(res, 200, { boardId: found.boardId, ...explainRoute(found.task) });
   } catch (err) {
-    console.error(`Failed to load agents.json: ${err.message}`);
-    if (agentsConfig.length > 0) {
-      console.log("Keeping previous agents config.");
-    }
+    sendJson(res, 502, { error: err.message });
   }
 }
 
-// Reload config on SIGHUP
-process.on("SIGHUP", () => {
-  console.log("SIGHUP received — reloading agents.json...");
-  loadAgentsConfig();
+// ── Fallback Chains ─────────────────────────────────────────
+//
+// A failed attempt is classified and agents.json decides what happens next:
+//   "fallback": ["claude-opus", "gemini"]  on an agent — who takes over from it
+//   "onFailure": { "timeout": "escalate" }  top level — action per failure class
+// Classes: timeout, not-found (unknown/disabled agent or missing command),
+// workspace (git clone failed) and error (everything else). Actions:
+//   retry     same agent again
+//   escalate  next agent in the chain (retry if the chain is used up)
+//   skip      next agent in the chain without using up an attempt; the
+//             agent is not tried again for this task
+//   fail      no further attempts
+// The chain is the requested agent (the one routing picked) followed by its
+// `fallback` list. The agent of every attempt is kept in task.agent.runs.
+
+const FAILURE_ACTIONS = ["retry", "escalate", "skip", "fail"];
+const DEFAULT_FAILURE_RULES = {
+  timeout: "escalate",
+  "not-found": "skip",
+  workspace: "retry",
+  error: "escalate",
+};
+
+function classifyFailure(result) {
+  if (result.timedOut) return "timeout";
+  if (result.notFound) return "not-found";
+  if (result.workspace) return "workspace";
+  return "error";
+}
+
+function fallbackChain(requestedAgent) {
+  const agentDef = agentsConfig.find(a => a.id === requestedAgent);
+  const fallback = agentDef && Array.isArray(agentDef.fallback) ? agentDef.fallback : [];
+  return [...new Set([requestedAgent, ...fallback])];
+}
+
+// First enabled agent after `agent` in the chain that hasn't been skipped
+function nextInChain(meta) {
+  const chain = fallbackChain(meta.requestedAgent || meta.agent);
+  const skipped = meta.skippedAgents || [];
+  return chain.slice(chain.indexOf(meta.agent) + 1)
+    .find((id) => !skipped.includes(id) && agentsConfig.some(a => a.id === id && a.enabled)) || null;
+}
+
+/**
+ * Decide what follows a failed attempt. Updates meta.skippedAgents and
+ * meta.attempts (skip) and returns { failure, action, nextAgent } —
+ * nextAgent null means the task has failed for good.
+ */
+function planFallback(meta, result) {
+  const failure = classifyFailure(result);
+  const action = failureRules[failure] || "retry";
+  if (action === "fail") return { failure, action, nextAgent: null };
+
+  if (action === "skip") {
+    meta.skippedAgents = [...new Set([...(meta.skippedAgents || []), meta.agent])];
+    meta.attempts = Math.max(0, meta.attempts - 1);
+    return { failure, action, nextAgent: nextInChain(meta) };
+  }
+  if (meta.attempts >= config.maxAttempts) return { failure, action, nextAgent: null };
+  if (action === "escalate") {
+    const next = nextInChain(meta);
+    if (next) return { failure, action, nextAgent: next };
+  }
+  return { failure, action: "retry", nextAgent: meta.agent };
+}
+
+// Keep which agent handled an attempt and how it ended (newest MAX_RUNS)
+function recordRun(meta, entry) {
+  meta.runs = [...(meta.runs || []), { ...entry, at: new Date().toISOString() }].slice(-MAX_RUNS);
+}
+
+// ── Runner Config ───────────────────────────────────────────
+//
+// runner.config.json (or TASK_RUNNER_CONFIG) holds the runner settings;
+// environment variables override it, defaults fill the rest. agents.json
+// holds the agents. Both files are checked against the schemas below and
+// reloaded when they change or on SIGHUP. An invalid file is rejected as a
+// whole with one message per problem: at startup the runner exits, later
+// the previous configuration stays in effect.
+
+const AGENT_TYPES = ["cli", "http", "openai-chat"];
+const BOARD_LIST_RE = /^(\*|[a-z0-9][a-z0-9-]{0,39})$/;
+const AGENT_ID_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,49}$/;
+
+// setting → schema, environment variable and default
+const SETTINGS = {
+  kanbanApiUrl: { type: "string", format: "url", env: "KANBAN_API_URL", default: "https://kanban-jet-seven-ashy.vercel.app" },
+  boards: { type: "array", items: { type: "string", pattern: BOARD_LIST_RE, hint: "a board id or *" }, minItems: 1, env: "KANBAN_BOARDS", default: ["default"] },
+  pollIntervalMs: { type: "integer", min: 1000, env: "TASK_RUNNER_POLL_INTERVAL_MS", default: 15_000 },
+  maxConcurrent: { type: "integer", min: 1, env: "TASK_RUNNER_MAX_CONCURRENT", default: 1 },
+  minFreeMB: { type: "integer", min: 0, env: "TASK_RUNNER_MIN_FREE_MB", default: 400 },
+  agentTimeoutMs: { type: "integer", min: 1000, env: "TASK_RUNNER_AGENT_TIMEOUT_MS", default: 10 * 60 * 1000 },
+  maxAttempts: { type: "integer", min: 1, max: 20, env: "TASK_RUNNER_MAX_ATTEMPTS", default: 3 },
+  // Bare mirrors (<dir>/<owner>/<repo>.git) cloned instead of GitHub, e.g. offline
+  gitMirrors: { type: "string", env: "TASK_RUNNER_GIT_MIRRORS", default: "" },
+  // Pages that may use the run controls, agent settings and agent output (CORS)
+  allowedOrigins: { type: "array", items: { type: "string", format: "url" }, env: "TASK_RUNNER_ALLOWED_ORIGINS", default: ["http://localhost:3000", "http://127.0.0.1:3000"] },
+};
+
+const RUNNER_CONFIG_SCHEMA = { type: "object", properties: SETTINGS };
+
+const weighted = (key, item) => ({
+  anyOf: [
+    item,
+    { type: "object", required: [key], properties: { [key]: item, weight: { type: "number" } } },
+  ],
 });
 
-// ── Agent Routing ───────────────────────────────────────────
+const AGENT_SCHEMA = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", pattern: AGENT_ID_RE, hint: "letters, digits, . _ - (max. 50)" },
+    name: { type: "string" },
+    type: { type: "string", enum: AGENT_TYPES },
+    cmd: { type: "string", minLength: 1 },
+    args: { type: "array", items: { type: "string" } },
+    url: { type: "string", format: "url" },
+    baseUrl: { type: "string", format: "url" },
+    model: { type: "string", minLength: 1 },
+    system: { type: "string" },
+    temperature: { type: "number", min: 0, max: 2 },
+    maxTokens: { type: "integer", min: 1 },
+    pollIntervalMs: { type: "integer", min: 100 },
+    apiKeyEnv: { type: "string", minLength: 1 },
+    keywords: { type: "array", items: weighted("word", { type: "string", minLength: 1 }) },
+    patterns: { type: "array", items: {
+      anyOf: [
+        { type: "string", format: "regex" },
+        { type: "object", required: ["regex"], properties: {
+          regex: { type: "string", format: "regex" },
+          flags: { type: "string", pattern: /^[dgimsuy]*$/, hint: "regex flags (dgimsuy)" },
+          weight: { type: "number" },
+        } },
+      ],
+    } },
+    labels: { type: "array", items: weighted("label", { type: "string", minLength: 1 }) },
+    exclude: { type: "array", items: { type: "string", minLength: 1 } },
+    ramMB: { type: "number", min: 0 },
+    maxConcurrent: { type: "integer", min: 1 },
+    timeoutMs: { type: "integer", min: 1000 },
+    env: { type: "object", additionalProperties: { type: "string" } },
+    fallback: { type: "array", items: { type: "string", pattern: AGENT_ID_RE, hint: "an agent id" } },
+    default: { type: "boolean" },
+    enabled: { type: "boolean" },
+    note: { type: "string" },
+  },
+};
+
+const AGENTS_FILE_SCHEMA = {
+  type: "object",
+  required: ["agents"],
+  properties: {
+    onFailure: { type: "object", properties: Object.fromEntries(
+      ["timeout", "not-found", "workspace", "error"].map((failure) => [failure, { type: "string", enum: FAILURE_ACTIONS }])
+    ) },
+    agents: { type: "array", items: AGENT_SCHEMA },
+  },
+};
+
+function describeValue(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? String(value) : text.length > 40 ? `${text.slice(0, 40)}…` : text;
+}
 
-function routeToAgent(task) {
-  // Explicit agent in meta overrides routing
-  const meta = parseAgentMeta(task.description || task.desc);
-  if (meta && meta.agent) return meta.agent;
+/**
+ * Check `value` against a schema (type, enum, min/max, pattern, format,
+ * properties, items, anyOf). Appends "<where> must …" messages to
+ * `errors` and returns it.
+ */
+function checkSchema(schema, value, where, errors = []) {
+  const fail = (message) => {
+    errors.push(`${where || "file"} ${message} (got ${describeValue(value)})`);
+    return errors;
+  };
+
+  if (schema.anyOf) {
+    if (schema.anyOf.some((option) => checkSchema(option, value, where).length === 0)) return errors;
+    // Report the problems of the option with the matching type
+    const option = schema.anyOf.find((o) => (o.type === "object") === (value !== null && typeof value === "object"));
+    return option ? checkSchema(option, value, where, errors) : fail("has the wrong type");
+  }
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return fail("must be a string");
+      if (schema.minLength && value.length < schema.minLength) return fail("must not be empty");
+      if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(", ")}`);
+      if (schema.pattern && !schema.pattern.test(value)) return fail(`must be ${schema.hint}`);
+      if (schema.format === "url" && !/^https?:\/\/[^\s/]+/.test(value)) return fail("must be an http(s) URL");
+      if (schema.format === "regex") {
+        try {
+          new RegExp(value);
+        } catch (e) {
+          return fail(`must be a valid regular expression: ${e.message}`);
+        }
+      }
+      return errors;
+    case "integer":
+    case "number":
+      if (schema.type === "integer" ? !Number.isInteger(value) : !Number.isFinite(value)) return fail(`must be ${schema.type === "integer" ? "an integer" : "a number"}`);
+      if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}`);
+      if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}`);
+      return errors;
+    case "boolean":
+      return typeof value === "boolean" ? errors : fail("must be true or false");
+    case "array":
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (schema.minItems && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} entr${schema.minItems === 1 ? "y" : "ies"}`);
+      value.forEach((item, i) => checkSchema(schema.items, item, `${where}[${i}]`, errors));
+      return errors;
+    case "object":
+      if (!value || typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push(`${where ? `${where}.` : ""}${key} is required`);
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const itemWhere = where ? `${where}.${key}` : key;
+        const itemSchema = schema.properties ? schema.properties[key] : schema.additionalProperties;
+        if (!itemSchema) {
+          errors.push(`${itemWhere} is not a known setting (${Object.keys(schema.properties).join(", ")})`);
+          continue;
+        }
+        checkSchema(itemSchema, item, itemWhere, errors);
+      }
+      return errors;
+  }
+  return errors;
+}
 
-  const text = ((task.title || "") + " " + getCleanDescription(task.description || task.desc)).toLowerCase();
+// Environment values are strings: "5" → 5, "a,b" → ["a", "b"]; other text is passed on for checkSchema() to reject
+function parseEnvSetting(schema, raw) {
+  if (schema.type === "integer") return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+  if (schema.type === "array") return raw.split(",").map(s => s.trim()).filter(Boolean);
+  return raw;
+}
 
-  const enabledAgents = agentsConfig.filter(a => a.enabled && a.keywords && a.keywords.length > 0);
+function readJsonConfig(file, { optional = false } = {}) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (optional && err.code === "ENOENT") return { data: {}, exists: false };
+    throw new Error(`${path.basename(file)}: ${err.message}`);
+  }
+  try {
+    return { data: JSON.parse(raw), exists: true };
+  } catch (err) {
+    throw new Error(`${path.basename(file)}: invalid JSON — ${err.message}`);
+  }
+}
 
-  // Score each agent by keyword matches
-  const scores = {};
-  for (const agent of enabledAgents) {
-    let score = 0;
-    for (const kw of agent.keywords) {
-      if (text.includes(kw)) score++;
+/**
+ * Effective settings: environment over runner.config.json over defaults.
+ * Returns { settings, sources, errors, fileExists }.
+ */
+function resolveRunnerConfig() {
+  const { data, exists } = readJsonConfig(RUNNER_CONFIG_PATH, { optional: true });
+  const errors = checkSchema(RUNNER_CONFIG_SCHEMA, data, "");
+  const settings = {};
+  const sources = {};
+  for (const [key, schema] of Object.entries(SETTINGS)) {
+    const raw = process.env[schema.env];
+    if (raw !== undefined && raw !== "") {
+      const value = parseEnvSetting(schema, raw);
+      const envErrors = checkSchema(schema, value, schema.env);
+      if (envErrors.length === 0) {
+        settings[key] = value;
+        sources[key] = "env";
+        continue;
+      }
+      errors.push(...envErrors);
     }
-    if (score > 0) scores[agent.id] = score;
+    const fromFile = data && typeof data === "object" && data[key] !== undefined;
+    settings[key] = fromFile ? data[key] : schema.default;
+    sources[key] = fromFile ? "file" : "default";
   }
+  return { settings, sources, errors, fileExists: exists };
+}
+
+// Checks across agents that the schema can't express
+function checkAgentList(agents, errors) {
+  const ids = new Set();
+  agents.forEach((agentDef, i) => {
+    const where = `agents[${i}]`;
+    if (ids.has(agentDef.id)) errors.push(`${where}.id "${agentDef.id}" is used twice`);
+    ids.add(agentDef.id);
+    const driverError = agentDriverError(agentDef);
+    if (driverError) errors.push(`${where} (${agentDef.id}): ${driverError}`);
+  });
+  agents.forEach((agentDef, i) => {
+    (agentDef.fallback || []).forEach((id, j) => {
+      if (!ids.has(id)) errors.push(`agents[${i}].fallback[${j}] "${id}" is not a known agent`);
+      else if (id === agentDef.id) errors.push(`agents[${i}].fallback[${j}] must not be the agent itself`);
+    });
+  });
+  const defaults = agents.filter(a => a.default).map(a => a.id);
+  if (defaults.length > 1) errors.push(`only one agent can be the default (${defaults.join(", ")})`);
+  return errors;
+}
+
+function validateAgentsFile(data) {
+  const errors = checkSchema(AGENTS_FILE_SCHEMA, data, "");
+  if (errors.length === 0) checkAgentList(data.agents, errors);
+  return errors;
+}
+
+const configState = {
+  loadedAt: null,
+  fileExists: false,
+  sources: {},
+  agentsLoadedAt: null,
+  // Problems of the last rejected reload of each file
+  errors: [],
+  agentsErrors: [],
+};
+
+function logConfigErrors(label, errors) {
+  console.error(`Invalid ${label}:`);
+  for (const error of errors) console.error(`  - ${error}`);
+}
 
-  // Find best match
-  const entries = Object.entries(scores);
-  if (entries.length === 0) {
-    // Default: first agent with default flag, or first enabled agent
-    const defaultAgent = agentsConfig.find(a => a.enabled && a.default);
-    return defaultAgent ? defaultAgent.id : (agentsConfig.find(a => a.enabled) || { id: "gemini" }).id;
+/**
+ * (Re)load runner.config.json. Returns true if the settings were applied;
+ * with `strict` (startup) problems throw instead.
+ */
+function loadRunnerConfig({ strict = false } = {}) {
+  let resolved;
+  try {
+    resolved = resolveRunnerConfig();
+  } catch (err) {
+    resolved = { errors: [err.message] };
+  }
+  if (resolved.errors.length > 0) {
+    logConfigErrors(`runner config (${path.basename(RUNNER_CONFIG_PATH)} and environment)`, resolved.errors);
+    if (strict) throw new Error(`Invalid runner configuration (${resolved.errors.length} problem(s))`);
+    configState.errors = resolved.errors;
+    console.log("Keeping previous runner config.");
+    return false;
+  }
+
+  const previous = config;
+  config = resolved.settings;
+  Object.assign(configState, { loadedAt: ts(), fileExists: resolved.fileExists, sources: resolved.sources, errors: [] });
+  const changed = Object.keys(SETTINGS).filter((key) => JSON.stringify(previous[key]) !== JSON.stringify(config[key]));
+  if (!strict && changed.length > 0) {
+    console.log(`Runner config reloaded: ${changed.map(key => `${key}=${describeValue(config[key])}`).join(", ")}`);
+    if (changed.includes("pollIntervalMs") && pollTimer) schedulePoll();
+  }
+  return true;
+}
+
+function loadAgentsConfig({ strict = false } = {}) {
+  let errors;
+  let parsed;
+  try {
+    parsed = readJsonConfig(AGENTS_CONFIG_PATH).data;
+    errors = validateAgentsFile(parsed);
+  } catch (err) {
+    errors = [err.message];
+  }
+  if (errors.length > 0) {
+    logConfigErrors("agents.json", errors);
+    if (strict) throw new Error(`Invalid agents.json (${errors.length} problem(s))`);
+    configState.agentsErrors = errors;
+    console.log("Keeping previous agents config.");
+    return false;
   }
 
-  entries.sort((a, b) => b[1] - a[1]);
-  return entries[0][0];
+  agentsConfig = parsed.agents;
+  failureRules = { ...DEFAULT_FAILURE_RULES, ...(parsed.onFailure || {}) };
+  configState.agentsLoadedAt = ts();
+  configState.agentsErrors = [];
+  console.log(`Loaded ${agentsConfig.length} agents from agents.json (${agentsConfig.filter(a => a.enabled).length} enabled)`);
+  for (const agentDef of agentsConfig.filter(a => a.enabled)) {
+    const error = agentConfigError(agentDef);
+    if (error) console.warn(`  Warning: agent ${agentDef.id} is misconfigured: ${error}`);
+  }
+  return true;
+}
+
+// Reload on change (polled — editors often replace the file) and on SIGHUP
+function watchConfigFiles() {
+  fs.watchFile(RUNNER_CONFIG_PATH, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) loadRunnerConfig();
+  });
+  fs.watchFile(AGENTS_CONFIG_PATH, { interval: 2000 }, (curr, prev) => {
+    // Changes made through the agents API are already loaded
+    if (curr.mtimeMs !== prev.mtimeMs && curr.mtimeMs !== agentsWrittenMtime) loadAgentsConfig();
+  });
+}
+
+process.on("SIGHUP", () => {
+  console.log("SIGHUP received — reloading runner.config.json and agents.json...");
+  loadRunnerConfig();
+  loadAgentsConfig();
+});
+
+// Agent definitions as served over HTTP: env values may hold secrets
+function publicAgent(agentDef) {
+  return agentDef.env ? { ...agentDef, env: Object.keys(agentDef.env) } : agentDef;
+}
+
+// GET /api/config — effective settings, where each comes from, reload state
+function configView() {
+  return {
+    file: RUNNER_CONFIG_PATH,
+    fileExists: configState.fileExists,
+    loadedAt: configState.loadedAt,
+    settings: config,
+    sources: configState.sources,
+    env: Object.fromEntries(Object.entries(SETTINGS).map(([key, schema]) => [key, schema.env])),
+    tokens: { kanban: Boolean(KANBAN_TOKEN), runner: Boolean(RUNNER_TOKEN) },
+    agentsFile: AGENTS_CONFIG_PATH,
+    agentsLoadedAt: configState.agentsLoadedAt,
+    agents: agentsConfig.map(a => ({ id: a.id, type: a.type || "cli", enabled: Boolean(a.enabled), timeoutMs: agentTimeout(a) })),
+    onFailure: failureRules,
+    errors: configState.errors,
+    agentsErrors: configState.agentsErrors,
+  };
+}
+
+function agentTimeout(agentDef) {
+  return (agentDef && agentDef.timeoutMs) || config.agentTimeoutMs;
+}
+
+function formatDuration(ms) {
+  return ms % 60_000 === 0 ? `${ms / 60_000}min` : `${Math.round(ms / 1000)}s`;
 }
 
 // ── RAM Check ───────────────────────────────────────────────
@@ -228,15 +812,23 @@ function getFreeMB() {
 
 // ── Prompt Builder ──────────────────────────────────────────
 
-function buildPrompt(task, relatedTasks, project) {
-  const cleanDesc = getCleanDescription(task.description || task.desc);
+function buildPrompt(task, relatedTasks, project, repo) {
+  const cleanDesc = getCleanDescription(task);
   const relatedSection =
     relatedTasks.length > 0
       ? `\n## RELATED TASKS (nur zur Info)\n${relatedTasks.map((t) => `- ${t.title}`).join("\n")}`
       : "";
 
-  const githubSection = project && project.githubLink
-    ? `\n## GITHUB REPOSITORY\n${project.githubLink}\n- Clone und arbeite in diesem Repository\n- Committe und pushe deine Änderungen\n- Nenne den Commit-Hash oder PR-Link in RESULT.md`
+  // The runner has cloned the repository into the workspace (prepareWorkspace())
+  const githubSection = repo
+    ? `\n## GITHUB REPOSITORY\n${project.githubLink}\n- Das Arbeitsverzeichnis ist ein Clone dieses Repositorys, ausgecheckt auf dem Branch ${repo.branch}\n- Arbeite und committe auf diesem Branch; pushe ihn, wenn du Schreibrechte hast\n- RESULT.md wird nicht committet (steht in .git/info/exclude)`
+    : project && project.githubLink
+      ? `\n## GITHUB REPOSITORY\n${project.githubLink}\n- Clone und arbeite in diesem Repository\n- Committe und pushe deine Änderungen\n- Nenne den Commit-Hash oder PR-Link in RESULT.md`
+      : "";
+
+  // Set by POST /api/tasks/:id/review when a reviewer sent the result back
+  const feedbackSection = task.review && task.review.decision === "reject" && task.review.notes
+    ? `\n## REVIEWER FEEDBACK\nEin früheres Ergebnis wurde zurückgewiesen. Berücksichtige diese Hinweise:\n${task.review.notes}\n`
     : "";
 
   return `## TASK
@@ -244,7 +836,7 @@ ${task.title}
 
 ## DESCRIPTION
 ${cleanDesc || "(keine Beschreibung)"}
-
+${feedbackSection}
 ## CONSTRAINTS
 - Erstelle am Ende eine RESULT.md mit einer Zusammenfassung deiner Arbeit
 - Beschreibe was du gemacht hast, welche Dateien du erstellt/geändert hast
@@ -254,30 +846,208 @@ ${cleanDesc || "(keine Beschreibung)"}
 ${githubSection}${relatedSection}`;
 }
 
-// ── Agent Spawner ───────────────────────────────────────────
+// ── Git Workspace ───────────────────────────────────────────
+//
+// Tasks whose project has a githubLink get a clone of that repository as
+// workspace, checked out on the branch task/<taskId>. Later attempts reuse
+// the clone and branch, so a rejected result is reworked, not redone. After
+// each run the commits and `git diff --stat` since the attempt's start
+// commit go into the result (meta.json `git`).
+
+// "https://github.com/owner/repo/tree/main" → { owner, repo, url }; null if not GitHub
+function parseGitHubRepo(link) {
+  const m = /^https?:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[/?#].*)?$/.exec(String(link || "").trim());
+  if (!m) return null;
+  return { owner: m[1], repo: m[2], url: `https://github.com/${m[1]}/${m[2]}.git` };
+}
 
-function spawnAgent(agent, prompt, workDir, taskId) {
-  const agentDef = agentsConfig.find(a => a.id === agent);
-  if (!agentDef) {
-    return Promise.resolve({
-      success: false,
-      stdout: "",
-      stderr: `Unknown agent: ${agent} (not found in agents.json)`,
-      exitCode: 1,
-      durationMs: 0,
-    });
+// Clone source for a project: its local mirror if there is one, else GitHub
+function cloneSource(project) {
+  const gh = project && parseGitHubRepo(project.githubLink);
+  if (!gh) return null;
+  if (config.gitMirrors) {
+    const mirror = path.join(config.gitMirrors, gh.owner, `${gh.repo}.git`);
+    if (fs.existsSync(mirror)) return mirror;
   }
+  return gh.url;
+}
 
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile("git", args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: MAX_STDOUT, env: { ...process.env, GIT_TERMINAL_PROMPT: "0" } },
+      (err, stdout, stderr) => {
+        if (err) {
+          err.message = `git ${args[0]} failed: ${(stderr || err.message).trim()}`;
+          return reject(err);
+        }
+        resolve(stdout.trimEnd());
+      });
+  });
+}
+
+function taskBranch(taskId) {
+  return `task/${taskId}`;
+}
+
+/**
+ * Clone the project's repository into workDir (or reuse an earlier clone)
+ * and check out the task branch. Returns { source, branch, baseCommit } —
+ * or null if the task has no repository. Throws if git fails.
+ */
+async function prepareWorkspace(workDir, taskId, project) {
+  const source = cloneSource(project);
+  if (!source) return null;
+  const branch = taskBranch(taskId);
+
+  if (!fs.existsSync(path.join(workDir, ".git"))) {
+    // Leftovers from a run without repository (or an aborted clone)
+    fs.rmSync(workDir, { recursive: true, force: true });
+    await git(["clone", "--quiet", source, workDir], WORKSPACES_DIR);
+    fs.appendFileSync(path.join(workDir, ".git", "info", "exclude"), "\nRESULT.md\n");
+  }
+
+  const branches = await git(["branch", "--list", branch], workDir);
+  await git(branches ? ["checkout", "--quiet", branch] : ["checkout", "--quiet", "-b", branch], workDir);
+  // Repository without commits yet: diff against the empty tree
+  const baseCommit = await git(["rev-parse", "--verify", "--quiet", "HEAD"], workDir).catch(() => null);
+  return { source, branch, baseCommit };
+}
+
+/**
+ * What the agent changed since prepareWorkspace(): commits on the task
+ * branch and the diff stat including uncommitted changes. Never throws —
+ * a broken repository is reported as `error`.
+ */
+async function captureGitChanges(workDir, repo) {
+  const info = { source: repo.source, branch: repo.branch, baseCommit: repo.baseCommit };
+  try {
+    const head = await git(["rev-parse", "--verify", "--quiet", "HEAD"], workDir).catch(() => null);
+    const range = repo.baseCommit ? `${repo.baseCommit}..HEAD` : "HEAD";
+    const log = head ? await git(["log", "--format=%H%x09%an%x09%aI%x09%s", range], workDir) : "";
+    info.headCommit = head;
+    info.commits = log
+      ? log.split("\n").map((line) => {
+        const [sha, author, date, ...subject] = line.split("\t");
+        return { sha, author, date, subject: subject.join("\t") };
+      })
+      : [];
+    // Compare the working tree (tracked files) to the base: commits and uncommitted edits
+    const base = repo.baseCommit || (await git(["hash-object", "-t", "tree", "/dev/null"], workDir));
+    info.diffStat = await git(["diff", "--stat", base], workDir);
+    const status = await git(["status", "--porcelain"], workDir);
+    info.uncommitted = status ? status.split("\n").length : 0;
+  } catch (e) {
+    info.error = e.message;
+  }
+  return info;
+}
+
+// Short form for the completion comment — the result has the full stat
+function formatGitSummary(gitInfo) {
+  if (!gitInfo || gitInfo.error) return "";
+  const commits = gitInfo.commits.slice(0, 10).map((c) => `- ${c.sha.slice(0, 7)} ${c.subject}`).join("\n");
+  const more = gitInfo.commits.length > 10 ? `\n- … ${gitInfo.commits.length - 10} weitere` : "";
+  const stat = gitInfo.diffStat ? gitInfo.diffStat.split("\n").pop().trim() : "keine Änderungen";
+  const uncommitted = gitInfo.uncommitted ? `, ${gitInfo.uncommitted} nicht committete Datei(en)` : "";
+  return `\n\nBranch ${gitInfo.branch}: ${gitInfo.commits.length} Commit(s), ${stat}${uncommitted}${commits ? `\n${commits}${more}` : ""}`;
+}
+
+// ── Agent Drivers ───────────────────────────────────────────
+//
+// The `type` of an agent in agents.json picks the driver that runs it:
+//   cli          spawn `cmd` with `args` in the workspace (default)
+//   http         POST the prompt to `url`; the response is the result, or a
+//                202 with a status URL that is polled until the run is done
+//   openai-chat  chat completion against an OpenAI-compatible `baseUrl`
+//                (OpenAI, OpenRouter, llama.cpp, Ollama …); the answer is the RESULT.md
+// Every driver resolves to { success, stdout, stderr, exitCode, durationMs,
+// timedOut? } and registers a `stop` function on the task's activeAgents
+// entry, so cancel and timeout work the same for all of them.
+
+const HTTP_POLL_INTERVAL_MS = 5000;
+const HTTP_AGENT_STATUSES = ["queued", "running", "done", "failed"];
+
+function failedRun(message, startTime = Date.now()) {
+  return { success: false, stdout: "", stderr: message, exitCode: 1, durationMs: Date.now() - startTime };
+}
+
+// The agent can't run here at all (unknown, disabled, misconfigured, command missing)
+function unavailableRun(message) {
+  return { ...failedRun(message), notFound: true };
+}
+
+// Secrets stay in the environment: agents.json names the variable (`apiKeyEnv`)
+function agentApiKey(agentDef) {
+  return agentDef.apiKeyEnv ? process.env[agentDef.apiKeyEnv] || "" : "";
+}
+
+/**
+ * Returns an error message if the agent definition lacks what its driver
+ * needs, null otherwise. Checked when agents.json is loaded.
+ */
+function agentDriverError(agentDef) {
+  const type = agentDef.type || "cli";
+  if (!AGENT_DRIVERS[type]) return `unknown type "${type}" (${Object.keys(AGENT_DRIVERS).join(", ")})`;
+  if (type === "cli" && (typeof agentDef.cmd !== "string" || !Array.isArray(agentDef.args))) {
+    return "cli agents need cmd and args";
+  }
+  if (type === "http" && !/^https?:\/\//.test(agentDef.url || "")) return "http agents need an http(s) url";
+  if (type === "openai-chat" && (!/^https?:\/\//.test(agentDef.baseUrl || "") || !agentDef.model)) {
+    return "openai-chat agents need baseUrl and model";
+  }
+  return null;
+}
+
+// agentDriverError() plus what can only be checked at run time
+function agentConfigError(agentDef) {
+  if (agentDef.apiKeyEnv && !process.env[agentDef.apiKeyEnv]) return agentDriverError(agentDef) || `${agentDef.apiKeyEnv} is not set`;
+  return agentDriverError(agentDef);
+}
+
+// Hand the run's stop function to cancelAgent(); stop at once if already cancelled
+function registerRun(taskId, stop, proc) {
+  const info = taskId && (activeAgents.get(taskId) || dryRuns.get(taskId));
+  if (!info) return;
+  info.stop = stop;
+  info.spawnedAt = Date.now();
+  if (proc) {
+    info.process = proc;
+    info.pid = proc.pid;
+  }
+  // Cancelled while the task was being set up
+  if (info.cancel) stop();
+}
+
+// `run` (see startLiveRun()) receives the output as it arrives
+function runAgent(agent, prompt, workDir, taskId, run) {
+  const agentDef = agentsConfig.find(a => a.id === agent);
+  if (!agentDef) return Promise.resolve(unavailableRun(`Unknown agent: ${agent} (not found in agents.json)`));
   if (!agentDef.enabled) {
-    return Promise.resolve({
-      success: false,
-      stdout: "",
-      stderr: `Agent ${agent} is disabled: ${agentDef.note || "no reason given"}`,
-      exitCode: 1,
-      durationMs: 0,
-    });
+    return Promise.resolve(unavailableRun(`Agent ${agent} is disabled: ${agentDef.note || "no reason given"}`));
   }
+  const configError = agentConfigError(agentDef);
+  if (configError) return Promise.resolve(unavailableRun(`Agent ${agent} is misconfigured: ${configError}`));
+  return AGENT_DRIVERS[agentDef.type || "cli"](agentDef, prompt, { workDir, taskId, run });
+}
+
+// ── CLI driver ──
+
+// Agents run in their own process group (detached), so signals reach the
+// whole tree — CLIs that start helpers would otherwise leave them running
+function killProcessTree(proc, signal) {
+  try {
+    process.kill(-proc.pid, signal);
+  } catch {
+    try { proc.kill(signal); } catch {}
+  }
+}
 
+function terminateAgent(proc) {
+  killProcessTree(proc, "SIGTERM");
+  setTimeout(() => killProcessTree(proc, "SIGKILL"), 5000).unref();
+}
+
+function runCliAgent(agentDef, prompt, { workDir, taskId, run }) {
   const cmd = agentDef.cmd;
   const timestamp = String(Date.now());
   const args = agentDef.args.map(a =>
@@ -291,33 +1061,29 @@ function spawnAgent(agent, prompt, workDir, taskId) {
 
   const proc = spawn(cmd, args, {
     cwd: workDir,
-    env: { ...process.env, HOME: process.env.HOME },
+    env: { ...process.env, HOME: process.env.HOME, ...(agentDef.env || {}) },
     stdio: ["ignore", "pipe", "pipe"],
+    detached: true,
   });
 
-  // Store process ref for tracking and graceful shutdown
-  if (taskId && activeAgents.has(taskId)) {
-    const info = activeAgents.get(taskId);
-    info.process = proc;
-    info.pid = proc.pid;
-  }
+  // Store process ref for tracking, cancelling and graceful shutdown
+  if (proc.pid) registerRun(taskId, () => terminateAgent(proc), proc);
 
   const timeout = setTimeout(() => {
     killed = true;
-    proc.kill("SIGTERM");
-    setTimeout(() => {
-      try {
-        proc.kill("SIGKILL");
-      } catch {}
-    }, 5000);
-  }, AGENT_TIMEOUT_MS);
+    terminateAgent(proc);
+  }, agentTimeout(agentDef));
 
   proc.stdout.on("data", (chunk) => {
-    if (stdout.length < MAX_STDOUT) stdout += chunk.toString();
+    const text = chunk.toString();
+    if (stdout.length < MAX_STDOUT) stdout += text;
+    if (run) appendLiveOutput(run, text);
   });
 
   proc.stderr.on("data", (chunk) => {
-    if (stderr.length < MAX_STDOUT) stderr += chunk.toString();
+    const text = chunk.toString();
+    if (stderr.length < MAX_STDOUT) stderr += text;
+    if (run) appendLiveOutput(run, text);
   });
 
   return new Promise((resolve) => {
@@ -331,6 +1097,8 @@ function spawnAgent(agent, prompt, workDir, taskId) {
         exitCode: code,
         durationMs,
         timedOut: killed,
+        // Shells and wrappers report a missing command as 127
+        notFound: code === 127,
       });
     });
 
@@ -342,23 +1110,353 @@ function spawnAgent(agent, prompt, workDir, taskId) {
         stderr: err.message,
         exitCode: -1,
         durationMs: Date.now() - startTime,
+        notFound: err.code === "ENOENT",
       });
     });
   });
 }
 
+// ── HTTP drivers ──
+
+/**
+ * Run `work(signal)` with the agent's timeout and registerRun() wired to an
+ * AbortController. Maps aborts to a cancelled/timed-out failure.
+ */
+async function runAbortable(agentDef, taskId, work) {
+  const startTime = Date.now();
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, agentTimeout(agentDef));
+  registerRun(taskId, () => controller.abort());
+  try {
+    const { success, stdout, stderr = "" } = await work(controller.signal);
+    return { success, stdout, stderr, exitCode: success ? 0 : 1, durationMs: Date.now() - startTime };
+  } catch (err) {
+    const message = controller.signal.aborted ? (timedOut ? "Timeout" : "Cancelled") : err.message;
+    return { ...failedRun(message, startTime), timedOut };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function checkHttpResponse(agentDef, resp) {
+  if (resp.ok) return;
+  const body = await resp.text().catch(() => "");
+  throw new Error(`HTTP ${resp.status} from ${agentDef.id}: ${body.slice(0, 200)}`);
+}
+
+// A status response without a known `status` is an error quoting the body;
+// a plain-text answer to the POST itself counts as a finished run
+async function readStatusResponse(agentDef, resp, { allowText = false } = {}) {
+  const text = await resp.text();
+  if (allowText && !(resp.headers.get("content-type") || "").includes("json")) {
+    return { status: "done", output: text, result: text };
+  }
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {}
+  if (data && HTTP_AGENT_STATUSES.includes(data.status)) return data;
+  throw new Error(
+    `${agentDef.id} answered without a valid status (${HTTP_AGENT_STATUSES.join(", ")}): ${text.slice(0, 200) || "(empty)"}`
+  );
+}
+
+/**
+ * http: POST { taskId, agent, prompt } to `url`. The endpoint answers with
+ * { status: "done" | "failed", output?, result?, error? } — or with 202 and
+ * a status URL (`statusUrl` or Location header) that answers the same way
+ * and is polled while `status` is "queued" or "running". `result` becomes
+ * the RESULT.md, `output` the agent log.
+ */
+function runHttpAgent(agentDef, prompt, { workDir, taskId, run }) {
+  const headers = { "Content-Type": "application/json" };
+  const apiKey = agentApiKey(agentDef);
+  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+  let stdout = "";
+
+  return runAbortable(agentDef, taskId, async (signal) => {
+    const resp = await fetch(agentDef.url, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ taskId, agent: agentDef.id, prompt }),
+      signal,
+    });
+    await checkHttpResponse(agentDef, resp);
+    let data;
+
+    if (resp.status === 202) {
+      const accepted = await resp.json().catch(() => null);
+      const statusUrl = (accepted && accepted.statusUrl) || resp.headers.get("location");
+      if (!statusUrl) throw new Error(`202 from ${agentDef.id} without a status URL`);
+      const pollUrl = new URL(statusUrl, agentDef.url).href;
+      const interval = agentDef.pollIntervalMs || HTTP_POLL_INTERVAL_MS;
+      // Remote jobs can be polled for a long time; only the agent timeout ends the wait
+      for (;;) {
+        await sleep(interval, undefined, { signal });
+        const pollResp = await fetch(pollUrl, { headers, signal });
+        await checkHttpResponse(agentDef, pollResp);
+        data = await readStatusResponse(agentDef, pollResp);
+        if (!["queued", "running"].includes(data.status)) break;
+        if (data.output && data.output.length > stdout.length) {
+          // Status responses carry the output so far
+          if (run) appendLiveOutput(run, data.output.slice(stdout.length));
+          stdout = data.output;
+        }
+      }
+    } else {
+      data = await readStatusResponse(agentDef, resp, { allowText: true });
+    }
+
+    const output = typeof data.output === "string" ? data.output : "";
+    if (output.length > stdout.length) {
+      if (run) appendLiveOutput(run, output.slice(stdout.length));
+      stdout = output;
+    }
+    if (typeof data.result === "string" && data.result) {
+      fs.writeFileSync(path.join(workDir, "RESULT.md"), data.result, "utf8");
+    }
+    const success = data.status === "done";
+    return { success, stdout, stderr: success ? "" : data.error || `status ${data.status}` };
+  });
+}
+
+/**
+ * openai-chat: one streamed chat completion (POST <baseUrl>/chat/completions
+ * with `model`, optional `system`, `temperature`, `maxTokens`). The answer
+ * streams into the live log and is saved as RESULT.md — these agents see
+ * the prompt only, not the workspace.
+ */
+function runOpenAIChatAgent(agentDef, prompt, { workDir, taskId, run }) {
+  const headers = { "Content-Type": "application/json" };
+  const apiKey = agentApiKey(agentDef);
+  if (apiKey) headers["Authorization"] = `Bearer ${apiKey}`;
+  const messages = agentDef.system ? [{ role: "system", content: agentDef.system }] : [];
+  messages.push({ role: "user", content: prompt });
+
+  return runAbortable(agentDef, taskId, async (signal) => {
+    const resp = await fetch(`${agentDef.baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: agentDef.model,
+        messages,
+        stream: true,
+        ...(agentDef.temperature !== undefined && { temperature: agentDef.temperature }),
+        ...(agentDef.maxTokens && { max_tokens: agentDef.maxTokens }),
+      }),
+      signal,
+    });
+    if (!resp.ok) {
+      const body = await resp.text().catch(() => "");
+      throw new Error(`${agentDef.id} API ${resp.status}: ${body.slice(0, 200)}`);
+    }
+
+    let content = "";
+    let finishReason = null;
+    if ((resp.headers.get("content-type") || "").includes("text/event-stream")) {
+      // "data: {choices:[{delta:{content}}]}" lines, ended by "data: [DONE]"
+      const decoder = new TextDecoder();
+      let buffer = "";
+      for await (const chunk of resp.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          const payload = line.startsWith("data:") ? line.slice(5).trim() : "";
+          if (!payload || payload === "[DONE]") continue;
+          const choice = JSON.parse(payload).choices?.[0];
+          const delta = choice?.delta?.content || "";
+          if (choice?.finish_reason) finishReason = choice.finish_reason;
+          if (!delta) continue;
+          content += delta;
+          if (run) appendLiveOutput(run, delta);
+        }
+      }
+    } else {
+      // Servers that ignore `stream`
+      const data = await resp.json();
+      content = data.choices?.[0]?.message?.content || "";
+      finishReason = data.choices?.[0]?.finish_reason || null;
+      if (run) appendLiveOutput(run, content);
+    }
+
+    if (!content.trim()) return { success: false, stdout: content, stderr: `${agentDef.id} returned an empty answer` };
+    fs.writeFileSync(path.join(workDir, "RESULT.md"), content, "utf8");
+    const truncated = finishReason === "length" ? "Answer truncated (finish_reason: length)" : "";
+    return { success: true, stdout: content, stderr: truncated };
+  });
+}
+
+const AGENT_DRIVERS = {
+  cli: runCliAgent,
+  http: runHttpAgent,
+  "openai-chat": runOpenAIChatAgent,
+};
+
+// ── Live Output ─────────────────────────────────────────────
+//
+// A running agent's stdout and stderr go to the attempt's agent.log as they
+// arrive (interleaved, like a terminal shows them), and to the listeners of
+// GET /api/runs/:taskId/stream. Event ids are character offsets into the
+// log, so a reconnecting EventSource continues where it stopped as long as
+// that part is still in the kept tail.
+
+const LIVE_TAIL_CHARS = 64 * 1024;
+const liveRuns = new Map(); // taskId → { agent, attempt, startedAt, log, tail, offset, listeners }
+
+function startLiveRun(taskId, resultDir, info) {
+  const run = {
+    ...info,
+    startedAt: new Date().toISOString(),
+    log: fs.createWriteStream(path.join(resultDir, "agent.log")),
+    tail: "",
+    offset: 0,
+    listeners: new Set(),
+  };
+  run.log.on("error", (err) => console.log(`  Warning: could not write agent log: ${err.message}`));
+  liveRuns.set(String(taskId), run);
+  return run;
+}
+
+function appendLiveOutput(run, text) {
+  run.log.write(text);
+  const event = { offset: run.offset, text };
+  run.offset += text.length;
+  run.tail = (run.tail + text).slice(-LIVE_TAIL_CHARS);
+  for (const listener of run.listeners) listener("output", event);
+}
+
+// Resolves once agent.log is flushed
+function finishLiveRun(taskId, run, result) {
+  const end = {
+    exitCode: result.exitCode,
+    success: result.success,
+    timedOut: result.timedOut || false,
+    cancelled: Boolean(result.cancelled),
+  };
+  for (const listener of run.listeners) listener("end", end);
+  run.listeners.clear();
+  if (liveRuns.get(String(taskId)) === run) liveRuns.delete(String(taskId));
+  return new Promise((resolve) => run.log.end(resolve));
+}
+
+// Last `maxBytes` of a file, without a line cut in half at the start
+function readTail(file, maxBytes) {
+  const size = fs.statSync(file).size;
+  const start = Math.max(0, size - maxBytes);
+  const buf = Buffer.alloc(size - start);
+  const fd = fs.openSync(file, "r");
+  try {
+    fs.readSync(fd, buf, 0, buf.length, start);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const text = buf.toString("utf8");
+  return start > 0 ? text.slice(text.indexOf("\n") + 1) : text;
+}
+
+function sendEvent(res, event, data, id) {
+  res.write(`${id !== undefined ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * GET /api/runs/:taskId/stream — Server-Sent Events:
+ *   run     { agent, attempt, startedAt, live }
+ *   output  { offset, text }    (id: offset after the text)
+ *   end     { exitCode, success, timedOut }
+ * A finished task gets the tail of its last log followed by "end"; clients
+ * should close the EventSource on "end" instead of letting it reconnect.
+ */
+function handleRunStream(req, res, url) {
+  const [, , taskId, sub, ...rest] = url.pathname.split("/").filter(Boolean);
+  if (!TASK_ID_RE.test(taskId || "") || sub !== "stream" || rest.length > 0) {
+    return sendJson(res, 404, { error: "Not found" });
+  }
+  if (!authorizeControl(req, res, { write: false, token: url.searchParams.get("token") })) return;
+  const run = liveRuns.get(taskId);
+  const finished = run ? null : findAttempt(taskId, null);
+  if (!run && !finished) return sendJson(res, 404, { error: `No run for task ${taskId}` });
+
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+
+  if (!run) {
+    const info = attemptInfo(finished);
+    sendEvent(res, "run", { agent: info.agent || null, attempt: info.attempt, startedAt: null, live: false });
+    const logFile = path.join(finished.dir, "agent.log");
+    const text = fs.existsSync(logFile) ? readTail(logFile, LIVE_TAIL_CHARS) : "";
+    if (text) sendEvent(res, "output", { offset: 0, text });
+    sendEvent(res, "end", { exitCode: info.exitCode, success: info.success, timedOut: info.timedOut || false });
+    return res.end();
+  }
+
+  sendEvent(res, "run", { agent: run.agent, attempt: run.attempt, startedAt: run.startedAt, live: true });
+  const tailStart = run.offset - run.tail.length;
+  const since = parseInt(req.headers["last-event-id"], 10);
+  const from = since >= tailStart && since <= run.offset ? since : tailStart;
+  if (from < run.offset) sendEvent(res, "output", { offset: from, text: run.tail.slice(from - tailStart) }, run.offset);
+
+  const listener = (event, data) => {
+    if (event === "output") return sendEvent(res, "output", data, data.offset + data.text.length);
+    sendEvent(res, "end", data);
+    res.end();
+  };
+  run.listeners.add(listener);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 15_000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    run.listeners.delete(listener);
+  });
+}
+
 // ── Result Collector ────────────────────────────────────────
+//
+// Every run gets its own directory, results/<taskId>/attempt-<n>/, with
+// agent.log, RESULT.md and meta.json. Older runners wrote those files
+// straight into results/<taskId>/; that layout is still read as attempt 1.
+
+const ATTEMPT_DIR_RE = /^attempt-(\d+)$/;
+
+function taskResultsDir(taskId) {
+  return path.join(RESULTS_DIR, String(taskId));
+}
+
+function hasLegacyResult(taskDir) {
+  return fs.existsSync(path.join(taskDir, "meta.json")) || fs.existsSync(path.join(taskDir, "agent.log"));
+}
+
+// [{ attempt, dir }] oldest first
+function listAttemptDirs(taskId) {
+  const taskDir = taskResultsDir(taskId);
+  if (!fs.existsSync(taskDir)) return [];
+  const attempts = fs.readdirSync(taskDir)
+    .map((name) => ATTEMPT_DIR_RE.exec(name))
+    .filter(Boolean)
+    .map((m) => ({ attempt: parseInt(m[1], 10), dir: path.join(taskDir, m[0]) }))
+    .sort((a, b) => a.attempt - b.attempt);
+  if (hasLegacyResult(taskDir)) attempts.unshift({ attempt: 1, dir: taskDir, legacy: true });
+  return attempts;
+}
+
+// Numbered per task directory, so runs after a reset (review rejection) never overwrite
+function nextAttemptDir(taskId) {
+  const attempts = listAttemptDirs(taskId);
+  const last = attempts.length > 0 ? attempts[attempts.length - 1].attempt : 0;
+  return path.join(taskResultsDir(taskId), `attempt-${last + 1}`);
+}
 
-function collectResult(taskId, workDir, agentResult) {
-  const resultDir = path.join(RESULTS_DIR, String(taskId));
+// `resultDir` is the attempt directory processTask() streamed agent.log into
+function collectResult(taskId, workDir, agentResult, resultDir, info = {}) {
   fs.mkdirSync(resultDir, { recursive: true });
 
-  // Save agent log
-  fs.writeFileSync(
-    path.join(resultDir, "agent.log"),
-    `--- STDOUT ---\n${agentResult.stdout}\n\n--- STDERR ---\n${agentResult.stderr}`,
-    "utf8"
-  );
+  // The agent never started (unknown/disabled agent): log the reason
+  const logFile = path.join(resultDir, "agent.log");
+  if (!fs.existsSync(logFile) || fs.statSync(logFile).size === 0) {
+    fs.writeFileSync(logFile, `--- STDOUT ---\n${agentResult.stdout}\n\n--- STDERR ---\n${agentResult.stderr}`, "utf8");
+  }
 
   // Copy RESULT.md if agent created it
   const resultMd = path.join(workDir, "RESULT.md");
@@ -379,110 +1477,249 @@ function collectResult(taskId, workDir, agentResult) {
     );
   }
 
-  // Save metadata
-  fs.writeFileSync(
-    path.join(resultDir, "meta.json"),
-    JSON.stringify(
-      {
-        taskId,
-        exitCode: agentResult.exitCode,
-        durationMs: agentResult.durationMs,
-        timedOut: agentResult.timedOut || false,
-        success: agentResult.success,
-        completedAt: new Date().toISOString(),
-      },
-      null,
-      2
-    ),
-    "utf8"
-  );
+  // Save metadata
+  fs.writeFileSync(
+    path.join(resultDir, "meta.json"),
+    JSON.stringify(
+      {
+        taskId,
+        attempt: parseInt(ATTEMPT_DIR_RE.exec(path.basename(resultDir))[1], 10),
+        agent: info.agent || null,
+        taskAttempt: info.attempt || null,
+        exitCode: agentResult.exitCode,
+        durationMs: agentResult.durationMs,
+        timedOut: agentResult.timedOut || false,
+        success: agentResult.success,
+        cancelled: agentResult.cancelled || false,
+        title: info.title || null,
+        colorLabel: info.colorLabel || null,
+        completedAt: new Date().toISOString(),
+        git: info.git || null,
+      },
+      null,
+      2
+    ),
+    "utf8"
+  );
+
+  if (info.agent && !agentResult.cancelled) {
+    routingHistory.push(historyEntry({ taskId, agent: info.agent, ...agentResult }, info.title, info.colorLabel));
+  }
+
+  return { summary, resultDir };
+}
+
+// ── Results API ─────────────────────────────────────────────
+
+const TASK_ID_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch {
+    return null;
+  }
+}
+
+function attemptInfo({ attempt, dir, legacy }) {
+  const meta = readJsonFile(path.join(dir, "meta.json")) || {};
+  return {
+    ...meta,
+    attempt,
+    legacy: Boolean(legacy),
+    logBytes: fileSize(path.join(dir, "agent.log")),
+    hasResult: fs.existsSync(path.join(dir, "RESULT.md")),
+  };
+}
 
-  return summary;
+// The requested attempt (?attempt=n) or the latest one; null if unknown
+function findAttempt(taskId, attemptParam) {
+  const attempts = listAttemptDirs(taskId);
+  if (attemptParam === null) return attempts[attempts.length - 1] || null;
+  return attempts.find((a) => String(a.attempt) === attemptParam) || null;
 }
 
-// ── Ensure Columns ──────────────────────────────────────────
+/**
+ * Parse a single "bytes=" range against a file size. Returns { start, end }
+ * (inclusive), null without a usable header, or false if unsatisfiable.
+ */
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(header || "");
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start;
+  let end;
+  if (m[1] === "") {
+    start = Math.max(0, size - parseInt(m[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(m[1], 10);
+    end = m[2] === "" ? size - 1 : Math.min(parseInt(m[2], 10), size - 1);
+  }
+  return start > end || start >= size ? false : { start, end };
+}
 
-async function ensureColumns() {
-  const boardData = await kanbanGet("/api/board");
-  const columns = boardData.columns || [];
+function sendJson(res, status, data) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(data));
+}
 
-  const needed = [
-    { key: "queue", title: "Queue" },
-    { key: "wip", title: "Agent WIP" },
-    { key: "review", title: "Review" },
-  ];
+// GET /api/results/:taskId[/log] — attempt history, RESULT.md and raw log
+function handleResults(req, res, url) {
+  const [, , taskId, sub, ...rest] = url.pathname.split("/").filter(Boolean);
+  if (!TASK_ID_RE.test(taskId || "") || rest.length > 0 || (sub && sub !== "log")) {
+    return sendJson(res, 404, { error: "Not found" });
+  }
+  if (!authorizeControl(req, res, { write: false })) return;
+  const attempt = findAttempt(taskId, url.searchParams.get("attempt"));
+  if (!attempt) return sendJson(res, 404, { error: `No results for task ${taskId}` });
+
+  if (!sub) {
+    const resultFile = path.join(attempt.dir, "RESULT.md");
+    return sendJson(res, 200, {
+      taskId,
+      attempts: listAttemptDirs(taskId).map(attemptInfo),
+      current: attemptInfo(attempt),
+      result: fs.existsSync(resultFile) ? fs.readFileSync(resultFile, "utf8") : null,
+    });
+  }
 
-  for (const { key, title } of needed) {
-    const existing = columns.find(
-      (c) => c.title.toLowerCase() === title.toLowerCase()
-    );
-    if (existing) {
-      colIds[key] = existing.id;
-    } else {
-      // Add column to board
-      const newCol = { id: Date.now() + Math.floor(Math.random() * 1000), title, tasks: [] };
+  const logFile = path.join(attempt.dir, "agent.log");
+  const size = fileSize(logFile);
+  if (size === null) return sendJson(res, 404, { error: "No log for this attempt" });
+  const headers = { "Content-Type": "text/plain; charset=utf-8", "Accept-Ranges": "bytes" };
+  const range = parseRange(req.headers.range, size);
+  if (range === false) {
+    res.writeHead(416, { ...headers, "Content-Range": `bytes */${size}` });
+    return res.end();
+  }
+  if (range) {
+    res.writeHead(206, {
+      ...headers,
+      "Content-Range": `bytes ${range.start}-${range.end}/${size}`,
+      "Content-Length": range.end - range.start + 1,
+    });
+    return fs.createReadStream(logFile, range).pipe(res);
+  }
+  res.writeHead(200, { ...headers, "Content-Length": size });
+  fs.createReadStream(logFile).pipe(res);
+}
 
-      // Find insertion point: Queue before Agent WIP before Review, all before Done
-      const doneIdx = columns.findIndex(
-        (c) => c.title.toLowerCase() === "done"
-      );
-      if (key === "queue") {
-        const wipIdx = columns.findIndex(
-          (c) => c.title.toLowerCase() === "agent wip"
-        );
-        if (wipIdx >= 0) columns.splice(wipIdx, 0, newCol);
-        else if (doneIdx >= 0) columns.splice(doneIdx, 0, newCol);
-        else columns.push(newCol);
-      } else if (key === "wip") {
-        const reviewIdx = columns.findIndex(
-          (c) => c.title.toLowerCase() === "review"
-        );
-        if (reviewIdx >= 0) columns.splice(reviewIdx, 0, newCol);
-        else if (doneIdx >= 0) columns.splice(doneIdx, 0, newCol);
-        else columns.push(newCol);
-      } else {
-        if (doneIdx >= 0) columns.splice(doneIdx, 0, newCol);
-        else columns.push(newCol);
-      }
+// ── Ensure Columns ──────────────────────────────────────────
 
-      colIds[key] = newCol.id;
-      console.log(`  Created column: ${title} (id: ${newCol.id})`);
-    }
+// Queue before Agent WIP before Review, all before Done
+function columnInsertPosition(columns, role) {
+  const before = { queue: ["agent-wip", "review", "done"], "agent-wip": ["review", "done"], review: ["done"] }[role];
+  for (const next of before) {
+    const idx = columns.findIndex((c) => c.role === next);
+    if (idx >= 0) return idx;
+  }
+  return columns.length;
+}
+
+// Take the runner's column IDs from the column roles; false if one is missing
+function resolveColumns(boardId, columns) {
+  const colIds = columnsFor(boardId);
+  for (const { key, role } of RUNNER_COLUMNS) {
+    const col = columns.find((c) => c.role === role);
+    colIds[key] = col ? col.id : null;
   }
+  return RUNNER_COLUMNS.every(({ key }) => colIds[key]);
+}
 
-  // Save updated board with new columns (board endpoint uses POST)
-  boardData.columns = columns;
-  await kanbanPost("/api/board", boardData);
+async function ensureColumns(boardId) {
+  const columns = await kanbanGet(boardPath(boardId, "/api/columns"));
+  resolveColumns(boardId, columns);
+  const colIds = columnsFor(boardId);
+
+  for (const { key, role, title } of RUNNER_COLUMNS) {
+    if (colIds[key]) continue;
+    const position = columnInsertPosition(columns, role);
+    const newCol = await kanbanPost(boardPath(boardId, "/api/columns"), { title, role, position });
+    columns.splice(position, 0, newCol);
+    colIds[key] = newCol.id;
+    console.log(`  Created column: ${title} (id: ${newCol.id})`);
+  }
 
   console.log(
-    `Column IDs — Queue: ${colIds.queue}, WIP: ${colIds.wip}, Review: ${colIds.review}`
+    `[${boardId}] Column IDs — Queue: ${colIds.queue}, WIP: ${colIds.wip}, Review: ${colIds.review}`
   );
 }
 
 // ── Process a Single Task ───────────────────────────────────
 
-async function processTask(task, boardData) {
-  const taskId = task.id;
-  const agent = routeToAgent(task);
-  const ts = () => new Date().toISOString();
+const columnTitle = (key) => RUNNER_COLUMNS.find((c) => c.key === key).title;
 
-  console.log(`[${ts()}] Processing task ${taskId}: "${task.title}" → ${agent}`);
+/**
+ * Move a finished task out of Agent WIP to the review or queue column. If
+ * the API refuses because that column is at its WIP limit (409), the task
+ * keeps its result and waits in Agent WIP; every poll tries again
+ * (retryPendingMoves()). Returns false while the task waits.
+ */
+async function moveOutOfWip(boardId, taskId, target) {
+  const key = String(taskId);
+  try {
+    await moveTask(boardId, taskId, columnsFor(boardId)[target]);
+  } catch (e) {
+    if (e.status !== 409) throw e;
+    if (!pendingMoves.has(key)) {
+      console.log(`  ${columnTitle(target)} is full (WIP limit) — task ${taskId} waits in Agent WIP`);
+      pendingMoves.set(key, { boardId, target, since: ts() });
+    }
+    return false;
+  }
+  pendingMoves.delete(key);
+  return true;
+}
 
-  // Check agent-specific RAM requirement
-  const agentDef = agentsConfig.find(a => a.id === agent);
-  const requiredMB = (agentDef && agentDef.ramMB) || MIN_FREE_MB;
-  const freeMB = getFreeMB();
-  if (freeMB < requiredMB) {
-    console.log(`[${ts()}] Skipping task ${taskId}: ${freeMB}MB free, agent ${agent} needs ${requiredMB}MB`);
-    return;
+async function retryPendingMoves(boardId, inWip) {
+  for (const [taskId, pending] of pendingMoves) {
+    if (pending.boardId !== boardId) continue;
+    // Moved on or deleted by hand in the meantime
+    if (!inWip.has(taskId)) {
+      pendingMoves.delete(taskId);
+      continue;
+    }
+    try {
+      if (await moveOutOfWip(boardId, taskId, pending.target)) {
+        console.log(`[${ts()}] Task ${taskId} → ${columnTitle(pending.target)} (was waiting since ${pending.since})`);
+      }
+    } catch (e) {
+      console.log(`  Warning: could not move task ${taskId} to ${columnTitle(pending.target)}: ${e.message}`);
+    }
   }
+}
+
+// The slot in activeAgents is reserved by admitTasks() before this runs
+async function processTask(boardId, task, boardData, agent) {
+  const taskId = task.id;
+  const colIds = columnsFor(boardId);
+
+  console.log(`[${ts()}] Processing task ${taskId} (${boardId}): "${task.title}" → ${agent}`);
 
-  // Create workspace
   const workDir = path.join(WORKSPACES_DIR, String(taskId));
-  fs.mkdirSync(workDir, { recursive: true });
+
+  // Move to WIP first; from then on, moving the task out of WIP cancels the
+  // agent. If the move fails (e.g. 409 at the WIP limit) nothing runs: the
+  // slot is released and the task stays queued, untouched, for the next poll.
+  try {
+    await moveTask(boardId, taskId, colIds.wip);
+  } catch (e) {
+    console.log(`  Could not move to Agent WIP, task stays queued: ${e.message}`);
+    activeAgents.delete(taskId);
+    return;
+  }
+  if (activeAgents.has(taskId)) activeAgents.get(taskId).inWip = true;
 
   // Update meta: running
-  const meta = parseAgentMeta(task.description || task.desc) || {
+  const meta = parseAgentMeta(task) || {
     agent: null,
     status: "queued",
     attempts: 0,
@@ -490,26 +1727,26 @@ async function processTask(task, boardData) {
     resultPath: null,
     lastError: null,
   };
+  // A fresh routing starts a new fallback chain; a fallback attempt continues it
+  if (!meta.nextAgent || !meta.requestedAgent) {
+    meta.requestedAgent = agent;
+    meta.skippedAgents = [];
+  }
+  meta.nextAgent = null;
   meta.agent = agent;
   meta.status = "running";
   meta.attempts = (meta.attempts || 0) + 1;
   meta.startedAt = new Date().toISOString();
 
   try {
-    await updateTask(taskId, { description: setAgentMeta(task.description || task.desc, meta) });
+    await setAgentMeta(boardId, taskId, meta);
   } catch (e) {
     console.log(`  Warning: could not update task meta: ${e.message}`);
   }
 
-  // Move to WIP
-  try {
-    await moveTask(taskId, colIds.wip);
-  } catch (e) {
-    console.log(`  Warning: could not move to WIP: ${e.message}`);
-  }
-
-  // Track active agent
-  activeAgents.set(taskId, { agent, startedAt: Date.now() });
+  recordTaskEvent(boardId, taskId, { type: "agent-started", agent, attempt: meta.attempts }).catch((e) => {
+    console.log(`  Warning: could not record agent-started event: ${e.message}`);
+  });
 
   // Get related tasks for context
   const allTasks = (boardData.columns || []).flatMap((c) => c.tasks || []);
@@ -520,9 +1757,34 @@ async function processTask(task, boardData) {
   // Look up project for GitHub context
   const project = await findProjectForTask(task, boardData);
 
-  // Build prompt and spawn
-  const prompt = buildPrompt(task, relatedTasks, project);
-  const result = await spawnAgent(agent, prompt, workDir, taskId);
+  // Create workspace (a clone if the project links a repository); a
+  // RESULT.md left by an earlier attempt must not count for this one
+  let repo = null;
+  let workspaceError = null;
+  try {
+    repo = await prepareWorkspace(workDir, taskId, project);
+  } catch (e) {
+    workspaceError = e.message;
+    console.log(`  Warning: could not prepare git workspace: ${e.message}`);
+  }
+  fs.mkdirSync(workDir, { recursive: true });
+  fs.rmSync(path.join(workDir, "RESULT.md"), { force: true });
+
+  // Build prompt and spawn; the output streams into this attempt's directory
+  const prompt = buildPrompt(task, relatedTasks, project, repo);
+  const resultDir = nextAttemptDir(taskId);
+  fs.mkdirSync(resultDir, { recursive: true });
+  const attempt = parseInt(ATTEMPT_DIR_RE.exec(path.basename(resultDir))[1], 10);
+  const run = startLiveRun(taskId, resultDir, { agent, attempt });
+  const result = workspaceError
+    ? { success: false, stdout: "", stderr: workspaceError, exitCode: 1, durationMs: 0, workspace: true }
+    : await runAgent(agent, prompt, workDir, taskId, run);
+  const { cancel } = activeAgents.get(taskId) || {};
+  if (cancel) {
+    result.success = false;
+    result.cancelled = true;
+  }
+  await finishLiveRun(taskId, run, result);
 
   activeAgents.delete(taskId);
 
@@ -530,20 +1792,40 @@ async function processTask(task, boardData) {
     `[${ts()}] Agent ${agent} finished task ${taskId}: exit=${result.exitCode} duration=${Math.round(result.durationMs / 1000)}s${result.timedOut ? " (TIMEOUT)" : ""}`
   );
 
+  recordTaskEvent(boardId, taskId, {
+    type: "agent-finished",
+    agent,
+    attempt: meta.attempts,
+    success: result.success,
+    durationMs: result.durationMs,
+  }).catch((e) => {
+    console.log(`  Warning: could not record agent-finished event: ${e.message}`);
+  });
+
   // Collect result
-  const summary = collectResult(taskId, workDir, result);
-  const resultPath = path.join(RESULTS_DIR, String(taskId));
+  const gitInfo = repo ? await captureGitChanges(workDir, repo) : null;
+  const { summary, resultDir: resultPath } = collectResult(taskId, workDir, result, resultDir, {
+    agent,
+    attempt: meta.attempts,
+    git: gitInfo,
+    title: task.title,
+    colorLabel: task.colorLabel,
+  });
 
-  if (result.success) {
+  const runEntry = { attempt, agent, durationMs: result.durationMs };
+  if (cancel) {
+    recordRun(meta, { ...runEntry, outcome: "cancelled" });
+    await finishCancelled(boardId, taskId, meta, cancel, { summary, resultPath, agent });
+  } else if (result.success) {
+    recordRun(meta, { ...runEntry, outcome: "success" });
     // Success → move to Review
     meta.status = "review";
     meta.resultPath = resultPath;
     meta.lastError = null;
     meta.resultSummary = summary.slice(0, 2000);
 
-    const updatedDesc = setAgentMeta(task.description || task.desc, meta);
     try {
-      await updateTask(taskId, { description: updatedDesc });
+      await setAgentMeta(boardId, taskId, meta);
     } catch (e) {
       console.log(`  Warning: could not update task: ${e.message}`);
     }
@@ -554,14 +1836,14 @@ async function processTask(task, boardData) {
       const githubLinks = extractGitHubLinks(summary);
       const linksStr = githubLinks.length > 0 ? `\n\nGitHub: ${githubLinks.join(', ')}` : '';
       const commentSummary = summary.length > 1500 ? summary.slice(0, 1500) + '...' : summary;
-      const commentText = `Agent ${agent} abgeschlossen (${durationStr})\n\n${commentSummary}${linksStr}`;
-      await postComment(taskId, agent, commentText);
+      const commentText = `Agent ${agent} abgeschlossen (${durationStr})\n\n${commentSummary}${linksStr}${formatGitSummary(gitInfo)}`;
+      await postComment(boardId, taskId, agent, commentText, { agent, attempt: meta.attempts });
     } catch (e) {
       console.log(`  Warning: could not post comment: ${e.message}`);
     }
 
     try {
-      await moveTask(taskId, colIds.review);
+      await moveOutOfWip(boardId, taskId, "review");
     } catch (e) {
       console.log(`  Warning: could not move to Review: ${e.message}`);
     }
@@ -571,10 +1853,13 @@ async function processTask(task, boardData) {
       `[${ts()}] Task ${taskId} → Review (${summary.slice(0, 100)}...)`
     );
   } else {
-    // Failure
+    // Failure → next agent of the fallback chain, the same agent again, or Review
     const errorMsg = result.timedOut
-      ? "Timeout (10min)"
+      ? `Timeout (${formatDuration(agentTimeout(agentsConfig.find(a => a.id === agent)))})`
       : `Exit ${result.exitCode}: ${(result.stderr || "").slice(0, 200)}`;
+    const attemptNo = meta.attempts;
+    const { failure, action, nextAgent } = planFallback(meta, result);
+    recordRun(meta, { ...runEntry, outcome: "failed", failure });
 
     meta.status = "failed";
     meta.resultPath = resultPath;
@@ -583,120 +1868,557 @@ async function processTask(task, boardData) {
 
     // Post failure comment
     try {
-      const commentText = `Agent ${agent} fehlgeschlagen (Versuch ${meta.attempts}/${MAX_ATTEMPTS})\n\nFehler: ${errorMsg}`;
-      await postComment(taskId, agent, commentText);
+      const next = !nextAgent
+        ? "Keine weiteren Versuche."
+        : nextAgent === agent
+          ? `Nächster Versuch mit ${agent}.`
+          : `Weiter mit ${nextAgent} (${action === "skip" ? `${agent} übersprungen` : "eskaliert"}).`;
+      const commentText = `Agent ${agent} fehlgeschlagen (Versuch ${attemptNo}/${config.maxAttempts}, ${failure})\n\nFehler: ${errorMsg}\n\n${next}`;
+      await postComment(boardId, taskId, agent, commentText, { agent, attempt: attemptNo });
     } catch (e) {
       console.log(`  Warning: could not post failure comment: ${e.message}`);
     }
 
-    if (meta.attempts < MAX_ATTEMPTS) {
-      // Retry: move back to Queue
+    if (nextAgent) {
+      // Back to Queue for the next attempt
       meta.status = "queued";
-      const updatedDesc = setAgentMeta(task.description || task.desc, meta);
+      meta.nextAgent = nextAgent;
       try {
-        await updateTask(taskId, { description: updatedDesc });
-        await moveTask(taskId, colIds.queue);
+        await setAgentMeta(boardId, taskId, meta);
+        await moveOutOfWip(boardId, taskId, "queue");
       } catch (e) {
         console.log(`  Warning: could not move back to Queue: ${e.message}`);
       }
       console.log(
-        `[${ts()}] Task ${taskId} failed (attempt ${meta.attempts}/${MAX_ATTEMPTS}), back to Queue: ${errorMsg}`
+        `[${ts()}] Task ${taskId} failed (${failure}, attempt ${attemptNo}/${config.maxAttempts}), ${action} → ${nextAgent}: ${errorMsg}`
       );
     } else {
-      // Max retries → move to Review with failure status
-      const updatedDesc = setAgentMeta(task.description || task.desc, meta);
+      // Attempts or chain used up → move to Review with failure status
       try {
-        await updateTask(taskId, { description: updatedDesc });
-        await moveTask(taskId, colIds.review);
+        await setAgentMeta(boardId, taskId, meta);
+        await moveOutOfWip(boardId, taskId, "review");
       } catch (e) {
         console.log(
           `  Warning: could not move failed task to Review: ${e.message}`
         );
       }
       console.log(
-        `[${ts()}] Task ${taskId} failed permanently after ${MAX_ATTEMPTS} attempts: ${errorMsg}`
+        `[${ts()}] Task ${taskId} failed permanently (${failure}, attempt ${attemptNo}/${config.maxAttempts}): ${errorMsg}`
       );
     }
   }
 }
 
+// ── Run Controls ────────────────────────────────────────────
+
+function controlError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Frontend tasks have numeric ids, URLs carry strings
+function activeAgent(taskId) {
+  for (const [id, info] of activeAgents) if (String(id) === String(taskId)) return info;
+  return null;
+}
+
+const CANCEL_REASONS = {
+  user: "abgebrochen",
+  moved: "abgebrochen, weil der Task aus Agent WIP verschoben wurde",
+};
+
+/**
+ * Stop the agent of a running task. processTask() notices the flag when the
+ * process exits and records the outcome (finishCancelled()).
+ * Returns false if the task is not running.
+ */
+function cancelAgent(taskId, reason) {
+  const info = activeAgent(taskId);
+  if (!info) return false;
+  if (info.cancel) return true;
+  info.cancel = { reason, at: new Date().toISOString() };
+  console.log(`[${ts()}] Cancelling ${info.agent} for task ${taskId} (${reason})`);
+  if (info.stop) info.stop();
+  return true;
+}
+
+// Cancelled by a user: to Review for a decision. Moved out of WIP: stays where it was put
+async function finishCancelled(boardId, taskId, meta, cancel, { summary, resultPath, agent }) {
+  meta.status = "cancelled";
+  meta.resultPath = resultPath;
+  meta.lastError = `Abgebrochen (${cancel.reason === "moved" ? "aus Agent WIP verschoben" : "manuell"})`;
+  meta.resultSummary = (summary || meta.lastError).slice(0, 2000);
+  try {
+    await setAgentMeta(boardId, taskId, meta);
+    await postComment(boardId, taskId, agent, `Agent ${agent} ${CANCEL_REASONS[cancel.reason]} (Versuch ${meta.attempts}).`, {
+      agent,
+      attempt: meta.attempts,
+    });
+    if (cancel.reason !== "moved") await moveOutOfWip(boardId, taskId, "review");
+  } catch (e) {
+    console.log(`  Warning: could not record cancellation: ${e.message}`);
+  }
+  console.log(`[${ts()}] Task ${taskId} cancelled (${cancel.reason})`);
+}
+
+// Look a task up on `boardId`, or on every watched board
+async function locateTask(taskId, boardId) {
+  for (const id of boardId ? [boardId] : await watchedBoards()) {
+    const boardData = await kanbanGet(boardPath(id, "/api/board"));
+    for (const col of boardData.columns || []) {
+      const task = (col.tasks || []).find((t) => String(t.id) === String(taskId));
+      if (task) return { boardId: id, task, column: col };
+    }
+  }
+  return null;
+}
+
+/**
+ * Put a finished, failed or cancelled task back into the Queue with a
+ * fresh attempt count. Errors carry an HTTP `status`.
+ */
+async function retryTask(taskId, boardId) {
+  if (activeAgent(taskId)) throw controlError(409, "Task is still running — cancel it first");
+  const found = await locateTask(taskId, boardId);
+  if (!found) throw controlError(404, `Task ${taskId} not found`);
+  const colIds = columnsFor(found.boardId);
+  if (!colIds.queue && !resolveColumns(found.boardId, await kanbanGet(boardPath(found.boardId, "/api/columns")))) {
+    throw controlError(409, "Board has no queue column");
+  }
+  // Start over at the head of the fallback chain
+  const meta = { ...(parseAgentMeta(found.task) || {}), status: "queued", attempts: 0, lastError: null, nextAgent: null, skippedAgents: [] };
+  if (meta.requestedAgent) meta.agent = meta.requestedAgent;
+  await setAgentMeta(found.boardId, found.task.id, meta);
+  if (String(found.column.id) !== String(colIds.queue)) await moveTask(found.boardId, found.task.id, colIds.queue);
+  await postComment(found.boardId, found.task.id, "task-runner", "Neu gestartet — zurück in die Queue.");
+  console.log(`[${ts()}] Task ${taskId} re-queued`);
+  return { taskId: found.task.id, boardId: found.boardId, status: "queued" };
+}
+
+/**
+ * The run controls and agent settings start processes on this machine and
+ * need TASK_RUNNER_TOKEN; without one they are refused. Reads of agent
+ * output (`write: false`) need it only when it is set. `token` is for
+ * clients that can't send headers (EventSource). Sends the error response
+ * and returns false when the request may not pass.
+ */
+function authorizeControl(req, res, { write = true, token = "" } = {}) {
+  if (!RUNNER_TOKEN) {
+    if (!write) return true;
+    sendJson(res, 403, { error: "Set TASK_RUNNER_TOKEN to use the run controls and agent settings" });
+    return false;
+  }
+  const given = Buffer.from((req.headers.authorization || "").replace(/^Bearer\s+/i, "") || token || "");
+  const expected = Buffer.from(RUNNER_TOKEN);
+  if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) return true;
+  sendJson(res, 401, { error: "Invalid or missing TASK_RUNNER_TOKEN" });
+  return false;
+}
+
+/**
+ * POST /api/runs/:taskId/cancel, POST /api/runs/:taskId/retry[?board=],
+ * POST /api/queue/pause, POST /api/queue/resume, GET /api/queue
+ */
+async function handleControl(req, res, url) {
+  const parts = url.pathname.split("/").filter(Boolean); // ['api', 'runs'|'queue', ...]
+  if (parts[1] === "queue" && req.method === "GET" && parts.length === 2) {
+    return sendJson(res, 200, { paused: queuePaused });
+  }
+  if (req.method !== "POST") return sendJson(res, 405, { error: "Method not allowed" });
+  if (!authorizeControl(req, res)) return;
+
+  if (parts[1] === "queue" && parts.length === 3 && ["pause", "resume"].includes(parts[2])) {
+    queuePaused = parts[2] === "pause";
+    console.log(`[${ts()}] Queue ${queuePaused ? "paused" : "resumed"}`);
+    return sendJson(res, 200, { paused: queuePaused });
+  }
+
+  const [, , taskId, action] = parts;
+  if (parts.length !== 4 || !TASK_ID_RE.test(taskId)) return sendJson(res, 404, { error: "Not found" });
+  if (action === "cancel") {
+    if (!cancelAgent(taskId, "user")) return sendJson(res, 404, { error: `Task ${taskId} is not running` });
+    return sendJson(res, 202, { taskId, cancelling: true });
+  }
+  if (action === "retry") {
+    try {
+      return sendJson(res, 200, await retryTask(taskId, url.searchParams.get("board")));
+    } catch (err) {
+      return sendJson(res, err.status && err.status < 500 ? err.status : 502, { error: err.message });
+    }
+  }
+  sendJson(res, 404, { error: "Not found" });
+}
+
+// ── Agent Management ────────────────────────────────────────
+//
+// The settings panel of the frontend edits agents.json through the runner:
+//   POST  /api/agents               create an agent
+//   PUT   /api/agents/:id           replace its definition
+//   PATCH /api/agents/:id           change single fields (null removes one)
+//   POST  /api/agents/:id/dry-run   run it once on a trivial prompt
+// These need TASK_RUNNER_TOKEN like the run controls. A change is validated
+// like a reload and replaces the file atomically (temp file + rename), so
+// the watcher never reads a half-written agents.json.
+
+const MAX_AGENT_BODY = 64 * 1024;
+const DRY_RUN_TIMEOUT_MS = 60000;
+const DRY_RUN_OUTPUT_CHARS = 2000;
+const DRY_RUN_PROMPT = "Verfügbarkeitstest des Task Runners. Antworte nur mit OK.";
+const dryRuns = new Map(); // "dry-run:<agentId>" → { agent, startedAt, stop }
+let agentsWrittenMtime = 0;
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_AGENT_BODY) {
+        reject(controlError(413, "Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(controlError(400, "Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// Like JSON.stringify(data, null, 2), but arrays of plain values stay on one
+// line as in the hand-written file
+function formatAgentsFile(data) {
+  const value = String.raw`"(?:[^"\\\n]|\\.)*"|-?[\d.eE+-]+|true|false|null`;
+  const flatArray = new RegExp(String.raw`\[\n\s*((?:${value})(?:,\n\s*(?:${value}))*)\n\s*\]`, "g");
+  return JSON.stringify(data, null, 2).replace(flatArray, (m, items) => `[${items.split(/,\n\s*/).join(", ")}]`) + "\n";
+}
+
+/**
+ * Apply `change(agents)` to agents.json, validate the whole file and write
+ * it. Returns what `change` returns; throws controlError()s with `errors`.
+ */
+function saveAgentsFile(change) {
+  let data;
+  try {
+    data = readJsonConfig(AGENTS_CONFIG_PATH).data;
+  } catch (err) {
+    throw controlError(409, err.message);
+  }
+  if (!data || !Array.isArray(data.agents)) throw controlError(409, "agents.json has no agents list");
+  const result = change(data.agents);
+  const errors = validateAgentsFile(data);
+  if (errors.length > 0) {
+    throw Object.assign(controlError(400, "The change would make agents.json invalid"), { errors });
+  }
+  const tmp = `${AGENTS_CONFIG_PATH}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, formatAgentsFile(data));
+    fs.renameSync(tmp, AGENTS_CONFIG_PATH);
+  } catch (err) {
+    try { fs.unlinkSync(tmp); } catch (_) {}
+    throw err;
+  }
+  agentsWrittenMtime = fs.statSync(AGENTS_CONFIG_PATH).mtimeMs;
+  loadAgentsConfig();
+  return result;
+}
+
+// The frontend only sees env names (publicAgent()); a list of names keeps
+// the stored values of those variables
+function mergeEnv(env, previous) {
+  if (!Array.isArray(env)) return env;
+  const stored = (previous && previous.env) || {};
+  const unknown = env.filter(name => typeof name !== "string" || !(name in stored));
+  if (unknown.length > 0) {
+    throw controlError(400, `env: no stored value for ${unknown.join(", ")} — send { "NAME": "value" } instead of a list of names`);
+  }
+  return Object.fromEntries(env.map(name => [name, stored[name]]));
+}
+
+function agentBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw controlError(400, "Request body must be an agent definition object");
+  }
+  return body;
+}
+
+function createAgent(body) {
+  const agentDef = { ...agentBody(body) };
+  return saveAgentsFile((agents) => {
+    if (agents.some(a => a.id === agentDef.id)) throw controlError(409, `Agent ${agentDef.id} already exists`);
+    if (agentDef.env !== undefined) agentDef.env = mergeEnv(agentDef.env, null);
+    agents.push(agentDef);
+    return agentDef;
+  });
+}
+
+// PUT replaces the definition, PATCH merges fields into it. The id is fixed:
+// tasks and fallback lists refer to it
+function updateAgent(agentId, body, { merge }) {
+  const changes = agentBody(body);
+  if (changes.id !== undefined && changes.id !== agentId) throw controlError(400, "The id of an agent can't be changed");
+  return saveAgentsFile((agents) => {
+    const index = agents.findIndex(a => a.id === agentId);
+    if (index === -1) throw controlError(404, `Unknown agent: ${agentId}`);
+    const previous = agents[index];
+    const agentDef = merge ? { ...previous } : { id: agentId };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) delete agentDef[key];
+      else agentDef[key] = value;
+    }
+    if (agentDef.env !== undefined) agentDef.env = mergeEnv(agentDef.env, previous);
+    agents[index] = agentDef;
+    return agentDef;
+  });
+}
+
+/**
+ * Run the agent on DRY_RUN_PROMPT in a scratch directory, with the agent's
+ * own driver but at most DRY_RUN_TIMEOUT_MS. Disabled agents can be tested
+ * too — that is how one finds out whether they can be enabled again.
+ */
+async function dryRunAgent(agentId) {
+  const agentDef = agentsConfig.find(a => a.id === agentId);
+  if (!agentDef) throw controlError(404, `Unknown agent: ${agentId}`);
+  const key = `dry-run:${agentId}`;
+  if (dryRuns.has(key)) throw controlError(409, `A dry run of ${agentId} is already running`);
+  const configError = agentConfigError(agentDef);
+  if (configError) return { agent: agentId, available: false, notFound: true, error: configError };
+
+  const workDir = path.join(WORKSPACES_DIR, ".dry-run", agentId);
+  fs.rmSync(workDir, { recursive: true, force: true });
+  fs.mkdirSync(workDir, { recursive: true });
+  dryRuns.set(key, { agent: agentId, startedAt: Date.now() });
+  console.log(`[${ts()}] Dry run of agent ${agentId}`);
+  try {
+    const timeoutMs = Math.min(agentTimeout(agentDef), DRY_RUN_TIMEOUT_MS);
+    const result = await AGENT_DRIVERS[agentDef.type || "cli"]({ ...agentDef, timeoutMs }, DRY_RUN_PROMPT, { workDir, taskId: key, run: null });
+    const resultFile = path.join(workDir, "RESULT.md");
+    const output = fs.existsSync(resultFile) ? fs.readFileSync(resultFile, "utf8") : result.stdout;
+    const error = result.timedOut
+      ? `No answer within ${formatDuration(timeoutMs)}`
+      : (result.stderr || "").trim() || `Exit code ${result.exitCode}`;
+    console.log(`[${ts()}] Dry run of agent ${agentId}: ${result.success ? "available" : "failed"} (${result.durationMs}ms)`);
+    return {
+      agent: agentId,
+      available: result.success,
+      durationMs: result.durationMs,
+      exitCode: result.exitCode,
+      timedOut: Boolean(result.timedOut),
+      notFound: Boolean(result.notFound),
+      output: output.trim().slice(-DRY_RUN_OUTPUT_CHARS),
+      error: result.success ? null : error.slice(-DRY_RUN_OUTPUT_CHARS),
+    };
+  } finally {
+    dryRuns.delete(key);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * GET /api/agents[/:id], POST /api/agents, PUT|PATCH /api/agents/:id,
+ * POST /api/agents/:id/dry-run
+ */
+async function handleAgents(req, res, url) {
+  const parts = url.pathname.split("/").filter(Boolean); // ['api', 'agents', id?, 'dry-run'?]
+  const [, , agentId, action] = parts;
+  if (parts.length > 4 || (agentId && !AGENT_ID_RE.test(agentId)) || (action && action !== "dry-run")) {
+    return sendJson(res, 404, { error: "Not found" });
+  }
+  if (req.method === "GET" && !action) {
+    if (!agentId) return sendJson(res, 200, { agents: agentsConfig.map(publicAgent) });
+    const agentDef = agentsConfig.find(a => a.id === agentId);
+    return agentDef ? sendJson(res, 200, { agent: publicAgent(agentDef) }) : sendJson(res, 404, { error: `Unknown agent: ${agentId}` });
+  }
+
+  const allowed = action ? ["POST"] : agentId ? ["PUT", "PATCH"] : ["POST"];
+  if (!allowed.includes(req.method)) return sendJson(res, 405, { error: "Method not allowed" });
+  if (!authorizeControl(req, res)) return;
+
+  try {
+    if (action) return sendJson(res, 200, await dryRunAgent(agentId));
+    const body = await readJsonBody(req);
+    if (!agentId) {
+      const agentDef = createAgent(body);
+      console.log(`[${ts()}] Agent ${agentDef.id} created`);
+      return sendJson(res, 201, { agent: publicAgent(agentDef) });
+    }
+    const agentDef = updateAgent(agentId, body, { merge: req.method === "PATCH" });
+    console.log(`[${ts()}] Agent ${agentId} updated (${Object.keys(body).join(", ") || "no fields"})`);
+    return sendJson(res, 200, { agent: publicAgent(agentDef) });
+  } catch (err) {
+    if (!err.status) {
+      // Unexpected (e.g. agents.json not writable) — answer instead of taking the runner down
+      console.log(`[${ts()}] Agent ${agentId || "create"}${action ? ` ${action}` : ""} failed: ${err.message}`);
+      return sendJson(res, 500, { error: err.message });
+    }
+    return sendJson(res, err.status, { error: err.message, ...(err.errors ? { errors: err.errors } : {}) });
+  }
+}
+
+// ── Slot Scheduler ──────────────────────────────────────────
+
+function agentLimit(agentDef) {
+  const max = agentDef && agentDef.maxConcurrent;
+  return Number.isInteger(max) && max > 0 ? Math.min(max, config.maxConcurrent) : config.maxConcurrent;
+}
+
+function runningCount(agentId) {
+  let count = 0;
+  for (const info of activeAgents.values()) if (info.agent === agentId) count++;
+  return count;
+}
+
+function slotUsage() {
+  const perAgent = {};
+  for (const agentDef of agentsConfig.filter(a => a.enabled)) {
+    perAgent[agentDef.id] = { running: runningCount(agentDef.id), max: agentLimit(agentDef) };
+  }
+  let reservedMB = 0;
+  for (const info of activeAgents.values()) reservedMB += info.ramMB || 0;
+  return {
+    max: config.maxConcurrent,
+    used: activeAgents.size,
+    free: Math.max(0, config.maxConcurrent - activeAgents.size),
+    reservedMB,
+    perAgent,
+  };
+}
+
+/**
+ * Choose the queued tasks to start this cycle, in the given order. Skips tasks
+ * that are running or blocked, whose agent has no free slot, or whose agent
+ * needs more RAM than is left after this cycle's earlier admissions
+ * (freshly spawned agents don't show up in MemAvailable yet).
+ * Reserves a slot in activeAgents for every admitted task. `limit` caps the
+ * admissions (free room under the WIP column's wipLimit).
+ */
+function admitTasks(boardId, queueTasks, boardData, limit = Infinity) {
+  const admitted = [];
+  let availableMB = getFreeMB();
+
+  for (const task of queueTasks) {
+    if (activeAgents.size >= config.maxConcurrent || admitted.length >= limit) break;
+    if (activeAgents.has(task.id)) continue;
+    if (openBlockers(boardData, task).length > 0) continue;
+
+    const agent = routeToAgent(task);
+    const agentDef = agentsConfig.find(a => a.id === agent);
+    if (runningCount(agent) >= agentLimit(agentDef)) continue;
+
+    // Remote agents (http, openai-chat) may reserve 0
+    const ramMB = agentDef && Number.isFinite(agentDef.ramMB) ? agentDef.ramMB : config.minFreeMB;
+    if (availableMB < ramMB) {
+      console.log(`[${ts()}] Skipping task ${task.id}: ${availableMB}MB available, agent ${agent} needs ${ramMB}MB`);
+      continue;
+    }
+    availableMB -= ramMB;
+
+    activeAgents.set(task.id, { boardId, agent, ramMB, startedAt: Date.now() });
+    admitted.push({ task, agent });
+  }
+  return admitted;
+}
+
 // ── Poll Loop ───────────────────────────────────────────────
 
+let pollTimer = null;
+
+// (Re)start the poll interval — also when pollIntervalMs is reloaded
+function schedulePoll() {
+  clearInterval(pollTimer);
+  pollTimer = setInterval(poll, config.pollIntervalMs);
+}
+
 async function poll() {
   try {
     // ── Stale process reaper: detect dead agent PIDs ──
     for (const [taskId, info] of activeAgents) {
-      if (!info.pid) continue;
+      if (!info.pid || info.cancel) continue; // cancelled runs are finished by processTask()
       let alive = true;
       try { process.kill(info.pid, 0); } catch (_) { alive = false; }
       if (alive) continue;
       const runtime = Math.round((Date.now() - info.startedAt) / 1000);
       console.log(`[${ts()}] Reaper: agent ${info.agent} task ${taskId} PID ${info.pid} dead after ${runtime}s`);
       activeAgents.delete(taskId);
-      moveTask(taskId, colIds.queue).catch(() => {});
+      moveTask(info.boardId, taskId, columnsFor(info.boardId).queue).catch(() => {});
     }
 
     // Skip if at capacity
-    if (activeAgents.size >= MAX_CONCURRENT) return;
+    if (activeAgents.size >= config.maxConcurrent) return;
 
     // Check RAM
     const freeMB = getFreeMB();
-    if (freeMB < MIN_FREE_MB) {
-      console.log(`  Skipping poll: only ${freeMB}MB free (need ${MIN_FREE_MB}MB)`);
-      return;
-    }
-
-    // Fetch board
-    const boardData = await kanbanGet("/api/board");
-    const columns = boardData.columns || [];
-
-    // Refresh column IDs in case they changed
-    for (const col of columns) {
-      const lower = col.title.toLowerCase();
-      if (lower === "queue") colIds.queue = col.id;
-      else if (lower === "agent wip") colIds.wip = col.id;
-      else if (lower === "review") colIds.review = col.id;
-    }
-
-    if (!colIds.queue) {
-      lastPollError = "Queue column not found";
+    if (freeMB < config.minFreeMB) {
+      console.log(`  Skipping poll: only ${freeMB}MB free (need ${config.minFreeMB}MB)`);
       return;
     }
 
-    // Find queue column
-    const queueCol = columns.find((c) => c.id === colIds.queue);
-    if (!queueCol || !queueCol.tasks || queueCol.tasks.length === 0) {
-      lastPollError = null;
-      return;
+    // Boards share the slots; earlier boards in the `boards` setting fill them first
+    const errors = [];
+    let blocked = 0;
+    for (const boardId of await watchedBoards()) {
+      try {
+        blocked += await pollBoard(boardId);
+      } catch (err) {
+        errors.push(`${boardId}: ${err.message}`);
+      }
     }
+    blockedCount = blocked;
+    lastPollError = errors.length > 0 ? errors.join("; ") : null;
+  } catch (err) {
+    lastPollError = err.message;
+  }
+}
 
-    // Pick first task (FIFO)
-    const task = queueCol.tasks[0];
-
-    // Skip tasks that are already being processed
-    if (activeAgents.has(task.id)) return;
+// Start the admissible queue tasks of one board; returns its blocked count
+async function pollBoard(boardId) {
+  const fetchedAt = Date.now();
+  const boardData = await kanbanGet(boardPath(boardId, "/api/board"));
+  const columns = boardData.columns || [];
+  const colIds = columnsFor(boardId);
 
-    // Check if meta says it's waiting for retry cooldown
-    const meta = parseAgentMeta(task.description || task.desc);
-    if (meta && meta.status === "running") {
-      // Task claims to be running but isn't in our activeAgents — stale state
-      // Reset it
-      meta.status = "queued";
-      try {
-        await updateTask(task.id, {
-          description: setAgentMeta(task.description || task.desc, meta),
-        });
-      } catch {}
-    }
+  // Refresh column IDs in case they changed. New board (or a role was
+  // removed): create the missing columns, start tasks next cycle
+  if (!resolveColumns(boardId, columns)) {
+    await ensureColumns(boardId);
+    return 0;
+  }
 
-    lastPollError = null;
-    processTask(task, boardData).catch(err => {
+  // Agents whose task was dragged out of Agent WIP (or deleted) stop. Only
+  // runs that were already in WIP when this board was read count.
+  const wipCol = columns.find((c) => c.id === colIds.wip);
+  const inWip = new Set(((wipCol && wipCol.tasks) || []).map((t) => String(t.id)));
+  for (const [taskId, info] of activeAgents) {
+    if (info.boardId !== boardId || !info.inWip || !(info.spawnedAt < fetchedAt)) continue;
+    if (!inWip.has(String(taskId))) cancelAgent(taskId, "moved");
+  }
+  await retryPendingMoves(boardId, inWip);
+
+  // Find queue column
+  const queueCol = columns.find((c) => c.id === colIds.queue);
+  if (!queueCol || !queueCol.tasks || queueCol.tasks.length === 0) return 0;
+  const blocked = queueCol.tasks.filter((t) => openBlockers(boardData, t).length > 0).length;
+  if (queuePaused) return blocked;
+
+  // The API refuses moves into a full Agent WIP column
+  const wipRoom = wipCol && Number.isInteger(wipCol.wipLimit)
+    ? Math.max(0, wipCol.wipLimit - wipCol.tasks.length)
+    : Infinity;
+
+  // Fill free slots by priority, then age (processTask marks each task running)
+  const ordered = [...queueCol.tasks].sort(compareQueueOrder);
+  for (const { task, agent } of admitTasks(boardId, ordered, boardData, wipRoom)) {
+    processTask(boardId, task, boardData, agent).catch(err => {
       console.error(`Unhandled error processing task ${task.id}: ${err.message}`);
       activeAgents.delete(task.id);
     });
-  } catch (err) {
-    lastPollError = err.message;
   }
+  return blocked;
 }
 
 // ── Export / Backup ──────────────────────────────────────────
@@ -709,50 +2431,110 @@ async function exportBackup() {
   const exportFile = path.join(EXPORTS_DIR, `backup-${ts}.json`);
 
   // Collect board state
-  const boardData = await kanbanGet("/api/board");
+  const boards = {};
+  for (const boardId of await watchedBoards()) {
+    boards[boardId] = await kanbanGet(boardPath(boardId, "/api/board"));
+  }
 
-  // Collect all results metadata
+  // Collect all results metadata, one entry per attempt
   const resultEntries = [];
   if (fs.existsSync(RESULTS_DIR)) {
-    for (const dir of fs.readdirSync(RESULTS_DIR)) {
-      const metaPath = path.join(RESULTS_DIR, dir, "meta.json");
-      const resultPath = path.join(RESULTS_DIR, dir, "RESULT.md");
-      const entry = { taskId: dir };
-      if (fs.existsSync(metaPath)) entry.meta = JSON.parse(fs.readFileSync(metaPath, "utf8"));
-      if (fs.existsSync(resultPath)) entry.result = fs.readFileSync(resultPath, "utf8");
-      resultEntries.push(entry);
+    for (const taskId of fs.readdirSync(RESULTS_DIR)) {
+      for (const attempt of listAttemptDirs(taskId)) {
+        const resultPath = path.join(attempt.dir, "RESULT.md");
+        const entry = { taskId, attempt: attempt.attempt };
+        const meta = readJsonFile(path.join(attempt.dir, "meta.json"));
+        if (meta) entry.meta = meta;
+        if (fs.existsSync(resultPath)) entry.result = fs.readFileSync(resultPath, "utf8");
+        resultEntries.push(entry);
+      }
     }
   }
 
   const backup = {
     exportedAt: new Date().toISOString(),
-    board: boardData,
+    boards,
     results: resultEntries,
     stats: { completed: completedCount, uptime: Math.floor(process.uptime()) },
   };
 
   fs.writeFileSync(exportFile, JSON.stringify(backup, null, 2), "utf8");
-  return { file: exportFile, tasks: (boardData.columns || []).reduce((n, c) => n + c.tasks.length, 0), results: resultEntries.length };
+  const tasks = Object.values(boards).reduce((n, b) => n + (b.columns || []).reduce((m, c) => m + c.tasks.length, 0), 0);
+  return { file: exportFile, boards: Object.keys(boards), tasks, results: resultEntries.length };
 }
 
 // ── Health Endpoint ─────────────────────────────────────────
 
+// Writes and agent output (which can hold repository content and secrets)
+// are only shared with config.allowedOrigins; status reads with any page
+function isProtectedRoute(method, pathname) {
+  return method !== "GET" || pathname.startsWith("/api/results/") || pathname.startsWith("/api/runs/");
+}
+
+function setCorsHeaders(req, res, isProtected) {
+  const origin = req.headers.origin;
+  if (isProtected) {
+    if (!origin || !config.allowedOrigins.some((allowed) => allowed.replace(/\/+$/, "") === origin)) return false;
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+  } else {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+  }
+  res.setHeader("Access-Control-Allow-Methods", isProtected ? "GET, POST, PUT, PATCH, OPTIONS" : "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", isProtected ? "Range, Authorization, Content-Type" : "Range");
+  res.setHeader("Access-Control-Expose-Headers", "Content-Range, Accept-Ranges");
+  return true;
+}
+
 const server = http.createServer(async (req, res) => {
   const url = new URL(req.url, `http://localhost:${PORT}`);
 
-  // CORS headers for frontend
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  // CORS headers for the frontend; preflights ask for the method they'll send
+  const method = req.method === "OPTIONS" ? req.headers["access-control-request-method"] || "GET" : req.method;
+  const isProtected = isProtectedRoute(method, url.pathname);
+  const corsAllowed = setCorsHeaders(req, res, isProtected);
   if (req.method === "OPTIONS") {
     res.writeHead(204);
     res.end();
     return;
   }
+  if (isProtected && req.headers.origin && !corsAllowed) {
+    return sendJson(res, 403, { error: `Origin ${req.headers.origin} is not in allowedOrigins` });
+  }
+
+  // /api/agents — agent registry for the frontend, agent management
+  if (url.pathname === "/api/agents" || url.pathname.startsWith("/api/agents/")) {
+    await handleAgents(req, res, url);
+    return;
+  }
+
+  // GET /api/config — effective runner configuration
+  if (url.pathname === "/api/config") {
+    return sendJson(res, 200, configView());
+  }
+
+  // GET /api/results/:taskId, /api/results/:taskId/log — agent results
+  if (url.pathname.startsWith("/api/results/")) {
+    handleResults(req, res, url);
+    return;
+  }
+
+  // GET /api/route/:taskId/explain — routing decision with scores and history
+  if (url.pathname.startsWith("/api/route/")) {
+    await handleRouteExplain(req, res, url);
+    return;
+  }
+
+  // Run controls: cancel/retry a task, pause/resume the queue
+  if (url.pathname === "/api/queue" || url.pathname.startsWith("/api/queue/") ||
+      (url.pathname.startsWith("/api/runs/") && !url.pathname.endsWith("/stream"))) {
+    await handleControl(req, res, url);
+    return;
+  }
 
-  // GET /api/agents — agent registry for frontend
-  if (url.pathname === "/api/agents") {
-    res.writeHead(200, { "Content-Type": "application/json" });
-    res.end(JSON.stringify({ agents: agentsConfig }));
+  // GET /api/runs/:taskId/stream — live agent output (SSE)
+  if (url.pathname.startsWith("/api/runs/")) {
+    handleRunStream(req, res, url);
     return;
   }
 
@@ -774,6 +2556,7 @@ const server = http.createServer(async (req, res) => {
   for (const [taskId, info] of activeAgents) {
     running[taskId] = {
       agent: info.agent,
+      ramMB: info.ramMB,
       pid: info.pid || null,
       runtimeMs: Date.now() - info.startedAt,
     };
@@ -784,13 +2567,18 @@ const server = http.createServer(async (req, res) => {
     JSON.stringify({
       status: "ok",
       service: "task-runner",
-      maxConcurrent: MAX_CONCURRENT,
+      maxConcurrent: config.maxConcurrent,
+      slots: slotUsage(),
       activeAgents: running,
       agentsLoaded: agentsConfig.length,
       agentsEnabled: agentsConfig.filter(a => a.enabled).length,
       completed: completedCount,
+      blocked: blockedCount,
+      // Finished, but the target column is at its WIP limit
+      waitingMoves: Object.fromEntries(pendingMoves),
+      paused: queuePaused,
       freeMB: getFreeMB(),
-      columns: colIds,
+      boards: Object.fromEntries(boardColumns),
       lastPollError,
       uptime: Math.floor(process.uptime()),
     })
@@ -804,18 +2592,28 @@ async function start() {
   fs.mkdirSync(WORKSPACES_DIR, { recursive: true });
   fs.mkdirSync(RESULTS_DIR, { recursive: true });
 
-  // Load agents config
-  loadAgentsConfig();
+  // Load the configuration and the outcomes routing learns from
+  try {
+    loadRunnerConfig({ strict: true });
+    loadAgentsConfig({ strict: true });
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  watchConfigFiles();
+  loadRoutingHistory();
 
   console.log("Task Runner starting...");
-  console.log(`Kanban API: ${KANBAN_API}`);
-  console.log(`Max concurrent: ${MAX_CONCURRENT}`);
-  console.log(`Agent timeout: ${AGENT_TIMEOUT_MS / 1000}s`);
-  console.log(`Poll interval: ${POLL_INTERVAL / 1000}s`);
+  console.log(`Config: ${RUNNER_CONFIG_PATH}${configState.fileExists ? "" : " (not found, using defaults)"}`);
+  console.log(`Kanban API: ${config.kanbanApiUrl}`);
+  console.log(`Max concurrent: ${config.maxConcurrent}`);
+  console.log(`Agent timeout: ${config.agentTimeoutMs / 1000}s`);
+  console.log(`Poll interval: ${config.pollIntervalMs / 1000}s`);
+  console.log(`Boards: ${config.boards.join(", ")}`);
 
   // Ensure columns exist
   try {
-    await ensureColumns();
+    for (const boardId of await watchedBoards()) await ensureColumns(boardId);
   } catch (err) {
     console.error(`Failed to ensure columns: ${err.message}`);
     console.log("Will retry on next poll cycle...");
@@ -828,17 +2626,18 @@ async function start() {
   });
 
   // Start poll loop
-  const pollTimer = setInterval(poll, POLL_INTERVAL);
+  schedulePoll();
 
   // Stale process reaper - runs independently of poll
   setInterval(() => {
     for (const [taskId, info] of activeAgents) {
-      if (!info.pid) continue;
+      if (!info.pid || info.cancel) continue;
       try { process.kill(info.pid, 0); } catch (_) {
         const runtime = Math.round((Date.now() - info.startedAt) / 1000);
         console.log(`[${ts()}] Reaper: ${info.agent} task ${taskId} PID ${info.pid} dead after ${runtime}s`);
         activeAgents.delete(taskId);
-        if (colIds.queue) moveTask(taskId, colIds.queue).catch(() => {});
+        const queue = columnsFor(info.boardId).queue;
+        if (queue) moveTask(info.boardId, taskId, queue).catch(() => {});
       }
     }
   }, 30000); // Check every 30s
@@ -848,13 +2647,17 @@ async function start() {
   const shutdown = (signal) => {
     console.log(`${signal} received, shutting down...`);
     clearInterval(pollTimer);
+    fs.unwatchFile(RUNNER_CONFIG_PATH);
+    fs.unwatchFile(AGENTS_CONFIG_PATH);
     for (const [taskId, info] of activeAgents) {
       if (info.process) {
         console.log(`  Killing agent for task ${taskId} (pid ${info.pid})`);
-        try { info.process.kill("SIGTERM"); } catch {}
+        killProcessTree(info.process, "SIGTERM");
       }
     }
+    for (const info of dryRuns.values()) if (info.stop) info.stop();
     server.close(() => process.exit(0));
+    server.closeAllConnections(); // open live streams would keep it from closing
     setTimeout(() => process.exit(1), 5000);
   };
   process.on("SIGTERM", () => shutdown("SIGTERM"));
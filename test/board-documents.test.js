@@ -0,0 +1,72 @@
+// Short streams so /api/events responses end on their own
+process.env.KANBAN_EVENTS_STREAM_MS = "1000";
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApi } = require("./helpers");
+const { BOARD_KEY, cfdKey, changesKey } = require("../api/_lib/storage");
+const { appendChanges, changesSince } = require("../api/_lib/changes");
+
+let server;
+before(async () => { server = await startApi(); });
+after(() => server.close());
+
+async function createTask(title) {
+  const { body } = await server.api("POST", "/api/tasks", { columnId: "col-todo", title });
+  return body;
+}
+
+test("CFD snapshots and the change log are stored next to the board, not in it", async () => {
+  await createTask("First");
+  await createTask("Second");
+
+  const stored = await server.storage.get(BOARD_KEY);
+  for (const field of ["cfd", "changes", "changesFloor"]) assert.strictEqual(stored[field], undefined, field);
+
+  const cfd = await server.storage.get(cfdKey());
+  assert.strictEqual(cfd.snapshots.length, 1);
+  assert.strictEqual(cfd.snapshots[0].columns.find((c) => c.id === "col-todo").count, 2);
+
+  const log = await server.storage.get(changesKey());
+  const versions = log.entries.map((e) => e.version);
+  assert.deepStrictEqual(versions, Array.from({ length: stored.version }, (_, i) => i + 1));
+  assert.strictEqual(log.entries.at(-1).changes[0].type, "task.created");
+});
+
+test("boards that still carry cfd and changes leave them out of GET /api/board and move them on the next write", async () => {
+  const board = await server.storage.get(BOARD_KEY);
+  await server.storage.delete(cfdKey());
+  const legacyCfd = [{ date: "2024-01-01", at: "2024-01-01T10:00:00.000Z", columns: [{ id: "col-todo", title: "To Do", count: 7 }] }];
+  const legacy = { ...board, version: board.version + 1, cfd: legacyCfd, changes: [], changesFloor: 0 };
+  await server.storage.compareAndSet(BOARD_KEY, board.version, legacy);
+
+  const { body } = await server.api("GET", "/api/board");
+  for (const field of ["cfd", "changes", "changesFloor"]) assert.strictEqual(body[field], undefined, field);
+  const { body: series } = await server.api("GET", "/api/metrics/cfd?from=2024-01-01&to=2024-01-02");
+  assert.strictEqual(series.series[0].counts["col-todo"], 7);
+
+  await createTask("Triggers migration");
+  assert.strictEqual((await server.storage.get(BOARD_KEY)).cfd, undefined);
+  const { snapshots } = await server.storage.get(cfdKey());
+  assert.strictEqual(snapshots[0].date, "2024-01-01");
+  assert.strictEqual(snapshots.length, 2);
+});
+
+test("the event stream replays the changes from the log", async () => {
+  const { body: board } = await server.api("GET", "/api/board");
+  const task = await createTask("Streamed");
+  const text = await fetch(`${server.url}/api/events?since=${board.version}`).then((r) => r.text());
+  assert.match(text, new RegExp(`"taskId":"${task.id}"`));
+  assert.doesNotMatch(text, /event: resync/);
+});
+
+test("changesSince stops at a version that has not been appended yet", () => {
+  const entry = (version) => ({ version, at: "2024-01-01T00:00:00.000Z", changes: [] });
+  // Version 3 was written after version 4
+  let log = { entries: [], floor: 0 };
+  for (const version of [1, 2, 4]) log = appendChanges(log, entry(version));
+  assert.deepStrictEqual(changesSince(log, 0).map((e) => e.version), [1, 2]);
+  log = appendChanges(log, entry(3));
+  assert.deepStrictEqual(changesSince(log, 1).map((e) => e.version), [2, 3, 4]);
+  assert.strictEqual(changesSince({ ...log, floor: 2 }, 1), null);
+});
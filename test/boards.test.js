@@ -0,0 +1,33 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApi } = require("./helpers");
+
+const TASKS_TOKEN = "tasks-token-0123456789";
+const ADMIN_TOKEN = "admin-token-0123456789";
+const auth = (token) => ({ Authorization: `Bearer ${token}` });
+
+let server;
+before(async () => {
+  process.env.KANBAN_API_TOKENS = JSON.stringify([
+    { name: "editor", token: TASKS_TOKEN, scopes: ["tasks:write"] },
+    { name: "admin", token: ADMIN_TOKEN, scopes: ["boards:admin"] },
+  ]);
+  server = await startApi();
+});
+after(() => {
+  delete process.env.KANBAN_API_TOKENS;
+  return server.close();
+});
+
+test("deleting a board needs the boards:admin scope", async () => {
+  const created = await server.api("POST", "/api/boards", { name: "Team" }, auth(TASKS_TOKEN));
+  assert.strictEqual(created.status, 201);
+
+  const denied = await server.api("DELETE", "/api/boards/team", undefined, auth(TASKS_TOKEN));
+  assert.strictEqual(denied.status, 403);
+  assert.strictEqual((await server.api("GET", "/api/boards/team", undefined, auth(TASKS_TOKEN))).status, 200);
+
+  const deleted = await server.api("DELETE", "/api/boards/team", undefined, auth(ADMIN_TOKEN));
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual((await server.api("GET", "/api/boards/team", undefined, auth(ADMIN_TOKEN))).status, 404);
+});
@@ -0,0 +1,43 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { startApi } = require("./helpers");
+
+let server;
+let get;
+before(async () => {
+  server = await startApi();
+  get = server.storage.get;
+});
+afterEach(() => {
+  server.storage.get = get;
+});
+after(() => server.close());
+
+function failStorage() {
+  server.storage.get = async () => {
+    throw new Error("storage timed out");
+  };
+}
+
+test("a storage error on the first read ends the stream with an error event", async () => {
+  failStorage();
+  const resp = await fetch(`${server.url}/api/events`);
+  assert.strictEqual(resp.status, 200);
+  const text = await resp.text();
+  assert.match(text, /event: error\ndata: \{"error":"storage timed out"\}/);
+});
+
+test("a storage error while polling ends the stream with an error event", async () => {
+  const resp = await fetch(`${server.url}/api/events`);
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  while (!text.includes("event: ready")) text += decoder.decode((await reader.read()).value);
+  failStorage();
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value);
+  }
+  assert.match(text, /event: error\ndata: \{"error":"storage timed out"\}/);
+});
@@ -0,0 +1,110 @@
+/**
+ * Test helpers: the local API server (server.js) on a free port with a
+ * fresh in-memory store, and the Task Runner as a child process working in
+ * a temporary directory. Run the tests with `node --test test/`.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const net = require("net");
+const { spawn } = require("child_process");
+const { createServer } = require("../server");
+const { setStorage, createMemoryStorage } = require("../api/_lib/storage");
+
+async function startApi() {
+  const storage = createMemoryStorage();
+  setStorage(storage);
+  const server = createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // → { status, headers, body } with the body parsed as JSON
+  async function api(method, urlPath, body, headers = {}) {
+    const resp = await fetch(url + urlPath, {
+      method,
+      headers: body !== undefined ? { "Content-Type": "application/json", ...headers } : headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await resp.text();
+    return { status: resp.status, headers: resp.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { url, storage, api, close };
+}
+
+async function freePort() {
+  const probe = net.createServer();
+  await new Promise((resolve) => probe.listen(0, "127.0.0.1", resolve));
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+// Poll fn() until it returns something truthy
+async function waitFor(fn, { timeoutMs = 15000, intervalMs = 200, what = "condition" } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+}
+
+/**
+ * Start task-runner.js against apiUrl with the given agents.json content.
+ * `settings` go into its runner.config.json. → { url, dir, pid, output(), stop() }
+ */
+async function startRunner(apiUrl, { agents, settings = {}, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "task-runner-test-"));
+  const agentsPath = path.join(dir, "agents.json");
+  const configPath = path.join(dir, "runner.config.json");
+  fs.writeFileSync(agentsPath, JSON.stringify(agents, null, 2));
+  fs.writeFileSync(configPath, JSON.stringify({ kanbanApiUrl: apiUrl, pollIntervalMs: 1000, minFreeMB: 0, ...settings }, null, 2));
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "task-runner.js")], {
+    env: {
+      PATH: process.env.PATH,
+      TASK_RUNNER_PORT: String(port),
+      TASK_RUNNER_AGENTS: agentsPath,
+      TASK_RUNNER_CONFIG: configPath,
+      TASK_RUNNER_DATA_DIR: dir,
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let log = "";
+  child.stdout.on("data", (chunk) => (log += chunk));
+  child.stderr.on("data", (chunk) => (log += chunk));
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  async function stop() {
+    if (child.exitCode === null && child.signalCode === null) child.kill("SIGTERM");
+    await exited;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  try {
+    await waitFor(
+      () => {
+        if (child.exitCode !== null) throw new Error(`exited with code ${child.exitCode}`);
+        return fetch(url).then((r) => r.ok, () => false);
+      },
+      { what: "the health endpoint" }
+    );
+  } catch (err) {
+    await stop();
+    throw new Error(`Task Runner did not start: ${err.message}\n${log}`);
+  }
+  return { url, dir, pid: child.pid, output: () => log, stop };
+}
+
+module.exports = { startApi, startRunner, waitFor };
@@ -0,0 +1,69 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApi } = require("./helpers");
+const { BOARD_KEY, historyKey } = require("../api/_lib/storage");
+const { MAX_EVENTS_PER_TASK, mergeHistory } = require("../api/_lib/history");
+
+let server;
+before(async () => { server = await startApi(); });
+after(() => server.close());
+
+async function createTask(title) {
+  const { body } = await server.api("POST", "/api/tasks", { columnId: "col-todo", title });
+  return body;
+}
+
+test("history is stored under its own key, not in the board", async () => {
+  const task = await createTask("Own key");
+  await server.api("PUT", `/api/tasks/${task.id}/move`, { targetColumnId: "col-progress" });
+
+  const stored = await server.storage.get(BOARD_KEY);
+  assert.strictEqual(stored.history, undefined);
+  const log = await server.storage.get(historyKey());
+  assert.deepStrictEqual(log.tasks[task.id].map((ev) => ev.type), ["created", "moved"]);
+
+  const { body: events } = await server.api("GET", `/api/tasks/${task.id}/history`);
+  assert.deepStrictEqual(events.map((ev) => ev.type), ["created", "moved"]);
+});
+
+test("GET /api/board leaves the history out, also for boards that still carry it", async () => {
+  const board = await server.storage.get(BOARD_KEY);
+  const legacyId = "task-legacy";
+  board.columns[0].tasks.push({ id: legacyId, title: "Legacy" });
+  board.history = { [legacyId]: [{ type: "created", at: "2024-01-01T00:00:00.000Z", columnId: "col-todo" }] };
+  await server.storage.compareAndSet(BOARD_KEY, board.version, { ...board, version: board.version + 1 });
+
+  const { body } = await server.api("GET", "/api/board");
+  assert.strictEqual(body.history, undefined);
+  const { body: events } = await server.api("GET", `/api/tasks/${legacyId}/history`);
+  assert.strictEqual(events.length, 1);
+
+  // The next write moves the legacy log to the history key
+  await createTask("Triggers migration");
+  assert.strictEqual((await server.storage.get(BOARD_KEY)).history, undefined);
+  assert.strictEqual((await server.storage.get(historyKey())).tasks[legacyId].length, 1);
+});
+
+test("a deleted task keeps its history, ending with the deletion", async () => {
+  const task = await createTask("Short-lived");
+  await server.api("DELETE", `/api/tasks/${task.id}`);
+  const log = await server.storage.get(historyKey());
+  assert.deepStrictEqual(log.tasks[task.id].map((ev) => ev.type), ["created", "deleted"]);
+
+  const { status, body: events } = await server.api("GET", `/api/tasks/${task.id}/history`);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(events.map((ev) => ev.type), ["created", "deleted"]);
+  assert.strictEqual((await server.api("GET", "/api/tasks/task-never-existed/history")).status, 404);
+});
+
+test("the events per task are capped, keeping created and moved", () => {
+  const at = "2024-01-01T00:00:00.000Z";
+  const events = [
+    { type: "created", at, columnId: "a" },
+    { type: "moved", at, from: "a", to: "b" },
+    ...Array.from({ length: MAX_EVENTS_PER_TASK + 50 }, () => ({ type: "edited", at, fields: ["title"] })),
+  ];
+  const capped = mergeHistory({}, { t1: events }).t1;
+  assert.strictEqual(capped.length, MAX_EVENTS_PER_TASK);
+  assert.deepStrictEqual(capped.slice(0, 2).map((ev) => ev.type), ["created", "moved"]);
+});
@@ -0,0 +1,51 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { startApi, startRunner } = require("./helpers");
+
+const TOKEN = "runner-token-0123456789";
+const AGENT = { id: "fake", name: "Fake", type: "cli", cmd: process.execPath, args: ["-e", "1"], ramMB: 0, default: true, enabled: true };
+
+let api;
+let runner;
+before(async () => {
+  api = await startApi();
+  runner = await startRunner(api.url, { agents: { agents: [AGENT] }, env: { TASK_RUNNER_TOKEN: TOKEN } });
+});
+after(async () => {
+  if (runner) await runner.stop();
+  await api.close();
+});
+
+async function patchAgent(body) {
+  const resp = await fetch(`${runner.url}/api/agents/fake`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${TOKEN}` },
+    body: JSON.stringify(body),
+  });
+  return { status: resp.status, body: await resp.json() };
+}
+
+test("a failed agents.json write is answered with 500 and the runner keeps running", async () => {
+  const agentsPath = path.join(runner.dir, "agents.json");
+  const original = fs.readFileSync(agentsPath, "utf8");
+  // The temp file of the atomic write can't be created where a directory is
+  const tmp = `${agentsPath}.${runner.pid}.tmp`;
+  fs.mkdirSync(tmp);
+
+  const failed = await patchAgent({ note: "unwritable" });
+  assert.strictEqual(failed.status, 500);
+  assert.match(failed.body.error, /EISDIR/);
+  assert.strictEqual(fs.readFileSync(agentsPath, "utf8"), original);
+
+  const health = await fetch(runner.url);
+  assert.strictEqual(health.status, 200);
+  const { agent } = await fetch(`${runner.url}/api/agents/fake`).then((r) => r.json());
+  assert.strictEqual(agent.note, undefined);
+
+  fs.rmdirSync(tmp);
+  const saved = await patchAgent({ note: "writable again" });
+  assert.strictEqual(saved.status, 200);
+  assert.strictEqual(saved.body.agent.note, "writable again");
+});
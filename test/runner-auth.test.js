@@ -0,0 +1,74 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApi, startRunner } = require("./helpers");
+
+const TOKEN = "runner-token-0123456789";
+const AGENT = { id: "fake", name: "Fake", type: "cli", cmd: process.execPath, args: ["-e", "1"], ramMB: 0, default: true, enabled: true };
+const EVIL = "https://evil.example";
+const FRONTEND = "http://localhost:3000";
+
+let api;
+let open;
+let locked;
+before(async () => {
+  api = await startApi();
+  open = await startRunner(api.url, { agents: { agents: [AGENT] } });
+  locked = await startRunner(api.url, { agents: { agents: [AGENT] }, env: { TASK_RUNNER_TOKEN: TOKEN } });
+});
+after(async () => {
+  if (open) await open.stop();
+  if (locked) await locked.stop();
+  await api.close();
+});
+
+const post = (runner, path, { headers = {}, body } = {}) =>
+  fetch(runner.url + path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body || {}),
+  });
+
+test("without TASK_RUNNER_TOKEN agent changes, dry runs and run controls are refused", async () => {
+  const created = await post(open, "/api/agents", { body: { id: "evil", type: "cli", cmd: "touch", args: ["/tmp/pwned"] } });
+  assert.strictEqual(created.status, 403);
+  assert.strictEqual((await post(open, "/api/agents/fake/dry-run")).status, 403);
+  assert.strictEqual((await post(open, "/api/queue/pause")).status, 403);
+  assert.strictEqual((await post(open, "/api/runs/task-1/cancel")).status, 403);
+
+  const { agents } = await fetch(`${open.url}/api/agents`).then((r) => r.json());
+  assert.deepStrictEqual(agents.map((a) => a.id), ["fake"]);
+  // Agent output stays readable when no token is set
+  assert.strictEqual((await fetch(`${open.url}/api/results/task-1`)).status, 404);
+});
+
+test("with a token, agent output needs it too", async () => {
+  assert.strictEqual((await fetch(`${locked.url}/api/results/task-1`)).status, 401);
+  assert.strictEqual((await fetch(`${locked.url}/api/runs/task-1/stream`)).status, 401);
+  const auth = { Authorization: `Bearer ${TOKEN}` };
+  assert.strictEqual((await fetch(`${locked.url}/api/results/task-1`, { headers: auth })).status, 404);
+  assert.strictEqual((await fetch(`${locked.url}/api/runs/task-1/stream?token=${TOKEN}`)).status, 404);
+  assert.strictEqual((await post(locked, "/api/queue/resume")).status, 401);
+  assert.strictEqual((await post(locked, "/api/queue/resume", { headers: auth })).status, 200);
+});
+
+test("writes and agent output are only shared with the allowed origins", async () => {
+  const preflight = (origin, path, method) =>
+    fetch(locked.url + path, { method: "OPTIONS", headers: { Origin: origin, "Access-Control-Request-Method": method } });
+
+  const foreign = await preflight(EVIL, "/api/agents", "POST");
+  assert.strictEqual(foreign.headers.get("access-control-allow-origin"), null);
+  const frontend = await preflight(FRONTEND, "/api/agents", "POST");
+  assert.strictEqual(frontend.headers.get("access-control-allow-origin"), FRONTEND);
+
+  const results = await fetch(`${locked.url}/api/results/task-1`, { headers: { Origin: EVIL, Authorization: `Bearer ${TOKEN}` } });
+  assert.strictEqual(results.status, 403);
+  assert.strictEqual(results.headers.get("access-control-allow-origin"), null);
+  const write = await post(locked, "/api/queue/pause", { headers: { Origin: EVIL, Authorization: `Bearer ${TOKEN}` } });
+  assert.strictEqual(write.status, 403);
+
+  // Status reads stay open to every page
+  const health = await fetch(locked.url, { headers: { Origin: EVIL } });
+  assert.strictEqual(health.headers.get("access-control-allow-origin"), "*");
+  const queue = await fetch(`${locked.url}/api/queue`, { headers: { Origin: EVIL } });
+  assert.deepStrictEqual(await queue.json(), { paused: false });
+});
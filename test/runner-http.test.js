@@ -0,0 +1,68 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { startApi, startRunner, waitFor } = require("./helpers");
+
+// Accepts every run with 202; the status URL answers what `statusBodies` holds for the task
+const statusBodies = {};
+const agentServer = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    res.setHeader("Content-Type", "application/json");
+    if (req.method === "POST") {
+      const { taskId } = JSON.parse(body);
+      res.writeHead(202);
+      return res.end(JSON.stringify({ statusUrl: `/status/${taskId}` }));
+    }
+    res.end(statusBodies[req.url.split("/").pop()] || JSON.stringify({ status: "running" }));
+  });
+});
+
+let api;
+let runner;
+before(async () => {
+  await new Promise((resolve) => agentServer.listen(0, "127.0.0.1", resolve));
+  api = await startApi();
+  const agent = {
+    id: "remote",
+    name: "Remote",
+    type: "http",
+    url: `http://127.0.0.1:${agentServer.address().port}/run`,
+    pollIntervalMs: 100,
+    ramMB: 0,
+    default: true,
+    enabled: true,
+  };
+  runner = await startRunner(api.url, { agents: { agents: [agent] }, settings: { maxAttempts: 1 } });
+});
+after(async () => {
+  if (runner) await runner.stop();
+  await api.close();
+  await new Promise((resolve) => agentServer.close(resolve));
+});
+
+async function runUntilFailed(title, statusBody) {
+  const queue = await waitFor(async () => {
+    const { body: board } = await api.api("GET", "/api/board");
+    return board.columns.find((c) => c.role === "queue");
+  }, { what: "the runner's columns" });
+  const { body: task } = await api.api("POST", "/api/tasks", { columnId: queue.id, title });
+  statusBodies[task.id] = statusBody;
+  return waitFor(async () => {
+    const { body: board } = await api.api("GET", "/api/board");
+    const found = board.columns.flatMap((c) => c.tasks).find((t) => t.id === task.id);
+    return found.agent && found.agent.status === "failed" && found.agent;
+  }, { what: `task "${title}" to fail` });
+}
+
+test("a status response without a status fails the run and quotes the body", async () => {
+  const agent = await runUntilFailed("No status", JSON.stringify({ progress: 50 }));
+  assert.match(agent.lastError, /without a valid status/);
+  assert.match(agent.lastError, /\{"progress":50\}/);
+});
+
+test("an unknown status fails the run instead of polling on", async () => {
+  const agent = await runUntilFailed("Unknown status", JSON.stringify({ status: "pending" }));
+  assert.match(agent.lastError, /"status":"pending"/);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { startApi, startRunner, waitFor } = require("./helpers");
+
+const FAKE_AGENT = {
+  id: "fake",
+  name: "Fake",
+  type: "cli",
+  cmd: process.execPath,
+  args: ["-e", "require('fs').writeFileSync('RESULT.md', '# Done')"],
+  ramMB: 0,
+  default: true,
+  enabled: true,
+};
+
+// Between runner and API: refuses moves into Agent WIP while `refuseWip` is set
+let refuseWip = true;
+let wipColumnId = null;
+let refused = 0;
+const proxy = http.createServer((req, res) => {
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", async () => {
+    const body = Buffer.concat(chunks);
+    if (refuseWip && req.method === "PUT" && req.url.includes("/move") && JSON.parse(body).targetColumnId === wipColumnId) {
+      refused++;
+      res.writeHead(409, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ error: "WIP limit reached", code: "WIP_LIMIT_EXCEEDED" }));
+    }
+    const resp = await fetch(api.url + req.url, {
+      method: req.method,
+      headers: { "Content-Type": req.headers["content-type"] || "application/json" },
+      body: body.length ? body : undefined,
+    });
+    res.writeHead(resp.status, { "Content-Type": resp.headers.get("content-type") || "application/json" });
+    res.end(Buffer.from(await resp.arrayBuffer()));
+  });
+});
+
+let api;
+let runner;
+before(async () => {
+  api = await startApi();
+  await new Promise((resolve) => proxy.listen(0, "127.0.0.1", resolve));
+  runner = await startRunner(`http://127.0.0.1:${proxy.address().port}`, { agents: { agents: [FAKE_AGENT] } });
+});
+after(async () => {
+  if (runner) await runner.stop();
+  proxy.closeAllConnections();
+  await new Promise((resolve) => proxy.close(resolve));
+  await api.close();
+});
+
+async function findTask(taskId) {
+  const { body: board } = await api.api("GET", "/api/board");
+  for (const column of board.columns) {
+    const task = column.tasks.find((t) => t.id === taskId);
+    if (task) return { column, task };
+  }
+  return null;
+}
+
+test("a task whose move to Agent WIP fails is not run and stays queued", async () => {
+  const { body: board } = await waitFor(async () => {
+    const resp = await api.api("GET", "/api/board");
+    return resp.body.columns.some((c) => c.role === "agent-wip") && resp;
+  }, { what: "the runner's columns" });
+  const queue = board.columns.find((c) => c.role === "queue");
+  wipColumnId = board.columns.find((c) => c.role === "agent-wip").id;
+  const review = board.columns.find((c) => c.role === "review");
+
+  const { body: task } = await api.api("POST", "/api/tasks", { columnId: queue.id, title: "Update the docs" });
+  await waitFor(() => refused >= 2, { what: "two refused moves" });
+
+  const waiting = await findTask(task.id);
+  assert.strictEqual(waiting.column.id, queue.id);
+  assert.ok(!waiting.task.agent || !waiting.task.agent.attempts, "no attempt was counted");
+  const health = await fetch(runner.url).then((r) => r.json());
+  assert.deepStrictEqual(health.activeAgents, {});
+
+  refuseWip = false;
+  const done = await waitFor(async () => {
+    const found = await findTask(task.id);
+    return found.column.id === review.id && found;
+  }, { what: "the task to run once the move succeeds" });
+  assert.strictEqual(done.task.agent.status, "review");
+  assert.strictEqual(done.task.agent.attempts, 1);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert");
+const { startApi, startRunner, waitFor } = require("./helpers");
+
+// Finishes right away with a RESULT.md
+const FAKE_AGENT = {
+  id: "fake",
+  name: "Fake",
+  type: "cli",
+  cmd: process.execPath,
+  args: ["-e", "require('fs').writeFileSync('RESULT.md', '# Done'); console.log('done')"],
+  ramMB: 0,
+  default: true,
+  enabled: true,
+};
+
+let api;
+let runner;
+before(async () => {
+  api = await startApi();
+  runner = await startRunner(api.url, { agents: { agents: [FAKE_AGENT] } });
+});
+after(async () => {
+  if (runner) await runner.stop();
+  await api.close();
+});
+
+async function columnWith(role) {
+  const { body: board } = await api.api("GET", "/api/board");
+  return board.columns.find((c) => c.role === role);
+}
+
+const health = () => fetch(runner.url).then((r) => r.json());
+
+async function findTask(taskId) {
+  const { body: board } = await api.api("GET", "/api/board");
+  for (const column of board.columns) {
+    const task = column.tasks.find((t) => t.id === taskId);
+    if (task) return { column, task };
+  }
+  return null;
+}
+
+test("a finished task waits in Agent WIP while Review is full and moves on once there is room", async () => {
+  const queue = await waitFor(() => columnWith("queue"), { what: "the runner's columns" });
+  const wip = await columnWith("agent-wip");
+  const review = await columnWith("review");
+
+  const { body: blocker } = await api.api("POST", "/api/tasks", { columnId: review.id, title: "Awaiting review" });
+  assert.strictEqual((await api.api("PUT", `/api/columns/${review.id}`, { wipLimit: 1 })).status, 200);
+
+  const { body: task } = await api.api("POST", "/api/tasks", { columnId: queue.id, title: "Write the changelog" });
+  const done = await waitFor(
+    async () => {
+      const found = await findTask(task.id);
+      return found && found.task.agent && found.task.agent.status === "review" && found.column.id === wip.id && found;
+    },
+    { what: "the finished task in Agent WIP" }
+  );
+  assert.ok(done.task.agent.resultPath);
+
+  // Still waiting a poll later, with the result kept
+  await waitFor(async () => (await health()).waitingMoves[task.id], { what: "the waiting move in the health endpoint" });
+  await new Promise((resolve) => setTimeout(resolve, 1500));
+  const waiting = await findTask(task.id);
+  assert.strictEqual(waiting.column.id, wip.id);
+  assert.strictEqual(waiting.task.agent.status, "review");
+
+  await api.api("DELETE", `/api/tasks/${blocker.id}`);
+  const moved = await waitFor(
+    async () => {
+      const found = await findTask(task.id);
+      return found.column.id === review.id && found;
+    },
+    { what: "the move to Review" }
+  );
+  assert.strictEqual(moved.task.agent.status, "review");
+  assert.deepStrictEqual((await health()).waitingMoves, {});
+});